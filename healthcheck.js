@@ -1,46 +1,39 @@
 // Health check script for Docker container
-// Verifies that the bot is running and connected to Discord
-
-import { existsSync, statSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Check if database exists and has been recently modified (within last 10 minutes)
-const isDocker = existsSync('/app/data');
-const dbPath = isDocker ? '/app/data/radio.db' : join(__dirname, 'radio.db');
-
-try {
-  // Check 1: Database file exists
-  if (!existsSync(dbPath)) {
-    console.error('Health check failed: Database file not found');
+// Asks the bot's own readiness endpoint, which checks the Discord gateway, the
+// database, the yt-dlp/ffmpeg binaries and the event loop
+
+import { get } from 'http';
+
+const port = process.env.HTTP_PORT || '8080';
+// Same address the bot listens on; a wildcard bind is reachable over loopback
+const configuredHost = process.env.HTTP_HOST;
+const host = !configuredHost || configuredHost === '0.0.0.0' || configuredHost === '::' ? '127.0.0.1' : configuredHost;
+const TIMEOUT_MS = 5000;
+
+const request = get({ host, port, path: '/readyz', timeout: TIMEOUT_MS }, (res) => {
+  let body = '';
+  res.on('data', chunk => {
+    body += chunk;
+  });
+  res.on('end', () => {
+    if (res.statusCode === 200) {
+      console.log('✓ Health check passed');
+      process.exit(0);
+    }
+
+    // The body lists which checks failed
+    console.error(`Health check failed: /readyz returned ${res.statusCode} ${body}`);
     process.exit(1);
-  }
+  });
+});
 
-  // Check 2: Database has been modified recently (bot is active)
-  const stats = statSync(dbPath);
-  const lastModified = stats.mtimeMs;
-  const now = Date.now();
-  const tenMinutes = 10 * 60 * 1000;
-
-  // For initial startup, allow up to 10 minutes without DB modification
-  // After that, DB should be modified at least once every 10 minutes if bot is running
-  const timeSinceModified = now - lastModified;
-
-  // This is a soft check - we don't fail if DB hasn't been modified
-  // We just verify the file exists and is accessible
-  if (timeSinceModified > tenMinutes) {
-    console.log(`⚠️ Database last modified ${Math.floor(timeSinceModified / 1000)}s ago (may be idle)`);
-  }
-
-  // Check 3: Verify Node.js process is responsive
-  // If we got this far, Node.js is working
-  console.log('✓ Health check passed');
-  process.exit(0);
+request.on('timeout', () => {
+  console.error(`Health check failed: no response from the bot within ${TIMEOUT_MS / 1000}s`);
+  request.destroy();
+  process.exit(1);
+});
 
-} catch (error) {
+request.on('error', (error) => {
   console.error('Health check failed:', error.message);
   process.exit(1);
-}
+});
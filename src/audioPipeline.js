@@ -0,0 +1,213 @@
+// Audio pipeline helpers
+//
+// Every source (yt-dlp for YouTube, play-dl for SoundCloud) is piped through ffmpeg,
+// which handles audio filters and hands @discordjs/voice raw 48kHz stereo PCM.
+// yt-dlp seeks in the remote file itself; ffmpeg trims the sources that can't.
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import ffmpegStatic from 'ffmpeg-static';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const YTDLP_PATH = join(
+  __dirname, '..', 'node_modules', 'youtube-dl-exec', 'bin',
+  process.platform === 'win32' ? 'yt-dlp.exe' : 'yt-dlp'
+);
+
+// Prefer the bundled binary, fall back to the system ffmpeg (installed in the Docker image)
+export const FFMPEG_PATH = ffmpegStatic && existsSync(ffmpegStatic) ? ffmpegStatic : 'ffmpeg';
+
+// Filter presets for /filter. chain is a list of ffmpeg audio filters; speed is how
+// fast the preset plays the song, used to keep the playback position right.
+export const FILTER_PRESETS = {
+  bassboost: {
+    label: 'Bass Boost',
+    chain: ['bass=g=10:f=110:w=0.6', 'alimiter=limit=0.95']
+  },
+  nightcore: {
+    label: 'Nightcore',
+    // Resample up front so asetrate's pitch/speed change is relative to 48kHz
+    chain: ['aresample=48000', 'asetrate=60000', 'aresample=48000'],
+    speed: 1.25
+  },
+  vaporwave: {
+    label: 'Vaporwave',
+    chain: ['aresample=48000', 'asetrate=38400', 'aresample=48000'],
+    speed: 0.8
+  },
+  '8d': {
+    label: '8D Audio',
+    chain: ['apulsator=hz=0.125']
+  },
+  karaoke: {
+    label: 'Karaoke',
+    // Cancels audio panned dead center, which is usually the vocals
+    chain: ['stereotools=mlev=0.015625']
+  }
+};
+
+// Custom three-band equalizer, gains in dB
+export function createEqualizerFilter({ bass = 0, mid = 0, treble = 0 }) {
+  const format = gain => `${gain > 0 ? '+' : ''}${gain}`;
+  return {
+    label: `EQ (bass ${format(bass)}, mid ${format(mid)}, treble ${format(treble)})`,
+    chain: [
+      `bass=g=${bass}`,
+      `equalizer=f=1000:t=q:w=1:g=${mid}`,
+      `treble=g=${treble}`,
+      'alimiter=limit=0.95'
+    ]
+  };
+}
+
+// Loudness normalization (EBU R128). Songs are brought to the level streaming
+// services use; the gain is clamped so near-silent uploads aren't blown up.
+export const LOUDNESS_TARGET_LUFS = -14;
+const LOUDNESS_TRUE_PEAK = -1;
+const MAX_NORMALIZATION_GAIN_DB = 15;
+
+// The first play of a song runs ffmpeg's dynamic loudnorm, which also prints the
+// song's measured loudness when the stream ends
+const LOUDNORM_MEASURE_FILTER = `loudnorm=I=${LOUDNESS_TARGET_LUFS}:TP=${LOUDNESS_TRUE_PEAK}:LRA=11:print_format=json`;
+
+// Later plays apply the cached gain as a fixed volume change, with a limiter
+// catching peaks pushed past the ceiling
+function staticGainChain(gainDb) {
+  return [`volume=${gainDb.toFixed(2)}dB`, `alimiter=limit=${Math.pow(10, LOUDNESS_TRUE_PEAK / 20).toFixed(3)}`];
+}
+
+// Pull loudnorm's measurement out of ffmpeg's stderr. Returns null if the stream
+// didn't run to the end or the song is silent.
+export function parseLoudnormStats(stderr) {
+  const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) return null;
+
+  try {
+    const stats = JSON.parse(match[0]);
+    const integrated = parseFloat(stats.input_i);
+    const truePeak = parseFloat(stats.input_tp);
+    if (!Number.isFinite(integrated)) return null;
+    return { integrated, truePeak: Number.isFinite(truePeak) ? truePeak : null };
+  } catch {
+    return null;
+  }
+}
+
+export function calculateNormalizationGain(integratedLufs) {
+  const gain = LOUDNESS_TARGET_LUFS - integratedLufs;
+  return Math.max(-MAX_NORMALIZATION_GAIN_DB, Math.min(MAX_NORMALIZATION_GAIN_DB, gain));
+}
+
+// Spawn ffmpeg reading encoded audio on stdin and writing s16le PCM on stdout,
+// trimming trimSeconds off the start of what it reads. filter is a /filter preset or equalizer;
+// normalization is { gainDb } for a measured song, { measure: true } to measure
+// it while it plays, or null.
+export function spawnTranscoder(trimSeconds = 0, filter = null, normalization = null) {
+  const chain = [];
+
+  // Trim before filtering so the offset is in song time even when a filter
+  // changes the speed. Piped input can't be seeked, ffmpeg decodes up to it.
+  if (trimSeconds > 0) {
+    chain.push(`atrim=start=${trimSeconds.toFixed(3)}`, 'asetpts=PTS-STARTPTS');
+  }
+  // Normalize the source before any filter changes its loudness
+  if (normalization?.measure) {
+    chain.push(LOUDNORM_MEASURE_FILTER);
+  } else if (normalization) {
+    chain.push(...staticGainChain(normalization.gainDb));
+  }
+  if (filter) {
+    chain.push(...filter.chain);
+  }
+
+  // loudnorm prints its measurement at info level
+  const logLevel = normalization?.measure ? 'info' : 'error';
+  const args = ['-hide_banner', '-nostats', '-loglevel', logLevel, '-i', 'pipe:0'];
+  if (chain.length > 0) {
+    args.push('-af', chain.join(','));
+  }
+  args.push('-f', 's16le', '-ar', '48000', '-ac', '2', 'pipe:1');
+
+  const ffmpeg = spawn(FFMPEG_PATH, args);
+
+  // Killing ffmpeg mid-song makes the source's pipe write fail with EPIPE
+  ffmpeg.stdin.on('error', () => {});
+
+  return ffmpeg;
+}
+
+// yt-dlp arguments that start the download startSeconds into the track. yt-dlp
+// hands the section to ffmpeg, which seeks in the remote file, so nothing
+// before the offset is downloaded or decoded.
+export function ytdlpSeekArgs(startSeconds) {
+  if (startSeconds <= 0) return [];
+  return ['--download-sections', `*${startSeconds.toFixed(3)}-inf`, '--ffmpeg-location', FFMPEG_PATH];
+}
+
+// yt-dlp failure categories for the metrics, matched against its stderr in order
+const YTDLP_ERROR_CATEGORIES = [
+  ['bot_check', /not a bot|captcha/i],
+  ['age_restricted', /age[- ]restricted|confirm your age|inappropriate for some users/i],
+  ['private', /private video/i],
+  ['geo_blocked', /not available in your country|geo[- ]?restrict/i],
+  ['unavailable', /video unavailable|no longer available|has been removed|does not exist|HTTP Error 404/i],
+  ['rate_limited', /HTTP Error 429|too many requests/i],
+  ['forbidden', /HTTP Error 403|forbidden/i],
+  ['network', /timed out|connection (?:reset|refused)|unable to download webpage|name resolution|network is unreachable/i]
+];
+
+export function categorizeYtdlpError(stderr) {
+  const match = YTDLP_ERROR_CATEGORIES.find(([, pattern]) => pattern.test(stderr));
+  return match ? match[0] : 'other';
+}
+
+export function killProcesses(processes) {
+  for (const child of processes) {
+    if (child.exitCode === null && !child.killed) {
+      child.kill('SIGKILL');
+    }
+  }
+}
+
+// Parse "90", "1:30", "1:02:30" or YouTube-style "1m30s" / "1h2m30s" into seconds.
+// Returns null if the text isn't a timestamp.
+export function parseTimestamp(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (!value) return null;
+
+  if (/^\d+(:\d{1,2}){0,2}$/.test(value)) {
+    const [first, ...rest] = value.split(':').map(part => parseInt(part, 10));
+    if (rest.some(part => part >= 60)) return null;
+    return rest.reduce((total, part) => total * 60 + part, first);
+  }
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (match && (match[1] || match[2] || match[3])) {
+    return (parseInt(match[1] || 0, 10) * 3600) + (parseInt(match[2] || 0, 10) * 60) + parseInt(match[3] || 0, 10);
+  }
+
+  return null;
+}
+
+// Format seconds as m:ss, or h:mm:ss for an hour or more
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+// Start offset from a YouTube URL's t= (or start=) parameter, in seconds
+export function getUrlStartTime(url) {
+  try {
+    const params = new URL(url).searchParams;
+    return parseTimestamp(params.get('t') ?? params.get('start')) || 0;
+  } catch {
+    return 0;
+  }
+}
@@ -1,19 +1,58 @@
-import { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } from 'discord.js';
+import { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, ApplicationCommandOptionType, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, PermissionFlagsBits, ComponentType } from 'discord.js';
 import play from 'play-dl';
-import { getUserSongs, getStats } from './database.js';
+import {
+  getUserSongs,
+  getStats,
+  getPlaylist,
+  getPlaylistById,
+  listPlaylists,
+  getPlaylistTracks,
+  savePlaylist,
+  addPlaylistTrack,
+  removePlaylistTrack,
+  renamePlaylist,
+  deletePlaylist,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  deleteApiKey
+} from './database.js';
 import metrics from './metrics.js';
 import {
   createSongAddedEmbed,
   createPlaylistAddedEmbed,
   createQueueEmbed,
-  createNowPlayingEmbed,
   createRadioModeEmbed,
   createUserSongsEmbed,
   createStatsEmbed,
   createInfoEmbed,
   createErrorEmbed,
-  createPlaybackButtons
+  createPlaylistsEmbed,
+  createPlaylistTracksEmbed,
+  createPaginationButtons,
+  createHistoryEmbed,
+  createSearchResultsEmbeds,
+  createSearchSelectMenu,
+  PLAYLISTS_PER_PAGE
 } from './radioEmbeds.js';
+import { isDJ, canEditQueuedSong, canForceSkip, getCommandDenial, getDJCommands, requireManageGuild, RESTRICTABLE_COMMANDS } from './permissions.js';
+import { parseTimestamp, formatTimestamp, FILTER_PRESETS, createEqualizerFilter, LOUDNESS_TARGET_LUFS } from './audioPipeline.js';
+import { DEFAULT_VOLUME_PERCENT, MAX_VOLUME_PERCENT, STREAM_SUPERSEDED } from './musicQueue.js';
+import { generateApiKey } from './controlApi.js';
+import { getQuerySuggestions } from './querySuggestions.js';
+import { SETTINGS, getSetting, setSetting, resetSetting, isSettingCustomized, formatSettingValue, getSettingSuggestions } from './settings.js';
+
+// Saved playlists belong to a user ("personal") or to the server
+function addPlaylistScopeOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('scope')
+      .setDescription('Personal or server playlist (default: personal, then server)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Personal', value: 'user' },
+        { name: 'Server', value: 'guild' }
+      ));
+}
 
 export const commands = [
   new SlashCommandBuilder()
@@ -22,7 +61,8 @@ export const commands = [
     .addStringOption(option =>
       option.setName('query')
         .setDescription('URL (YouTube/SoundCloud/Spotify/Deezer) or song name to search')
-        .setRequired(true))
+        .setRequired(true)
+        .setAutocomplete(true))
     .addBooleanOption(option =>
       option.setName('priority')
         .setDescription('Add song to the front of the queue')
@@ -30,27 +70,113 @@ export const commands = [
 
   new SlashCommandBuilder()
     .setName('search')
-    .setDescription('Search for a song on YouTube and play it')
+    .setDescription('Search YouTube and pick which results to play')
     .addStringOption(option =>
       option.setName('query')
         .setDescription('Song name or search query')
-        .setRequired(true))
+        .setRequired(true)
+        .setAutocomplete(true))
     .addBooleanOption(option =>
       option.setName('priority')
-        .setDescription('Add song to the front of the queue')
+        .setDescription('Add the picked songs to the front of the queue')
         .setRequired(false)),
 
   new SlashCommandBuilder()
     .setName('playlist')
-    .setDescription('Add an entire YouTube playlist to the queue')
-    .addStringOption(option =>
-      option.setName('url')
-        .setDescription('YouTube playlist URL')
-        .setRequired(true)),
+    .setDescription('Import YouTube playlists or manage saved playlists')
+    .addSubcommand(subcommand =>
+      subcommand.setName('import')
+        .setDescription('Add an entire YouTube playlist to the queue')
+        .addStringOption(option =>
+          option.setName('url')
+            .setDescription('YouTube playlist URL')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('save')
+        .setDescription('Save the current song and queue as a playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)
+            .setMaxLength(50)))
+        .addBooleanOption(option =>
+          option.setName('overwrite')
+            .setDescription('Replace an existing playlist with the same name')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('load')
+        .setDescription('Add a saved playlist to the queue')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)))
+        .addBooleanOption(option =>
+          option.setName('shuffle')
+            .setDescription('Shuffle the tracks before queueing them')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('list')
+        .setDescription('List saved playlists, or the tracks of one playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Show the tracks of this playlist')
+            .setRequired(false))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('add')
+        .setDescription('Add a track to a saved playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('url')
+            .setDescription('Track URL (defaults to the current song)')
+            .setRequired(false))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('remove')
+        .setDescription('Remove a track from a saved playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true))
+        .addIntegerOption(option =>
+          option.setName('position')
+            .setDescription('Track number (see /playlist list)')
+            .setRequired(true)
+            .setMinValue(1))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('rename')
+        .setDescription('Rename a saved playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Current playlist name')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('new_name')
+            .setDescription('New playlist name')
+            .setRequired(true)
+            .setMaxLength(50))))
+    .addSubcommand(subcommand =>
+      addPlaylistScopeOption(subcommand.setName('delete')
+        .setDescription('Delete a saved playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)))),
 
   new SlashCommandBuilder()
     .setName('skip')
-    .setDescription('Skip the current song'),
+    .setDescription('Skip the current song, or vote to skip it'),
+
+  new SlashCommandBuilder()
+    .setName('skipvote')
+    .setDescription('Show or set how many listeners must vote before a song is skipped')
+    .addIntegerOption(option =>
+      option.setName('percent')
+        .setDescription('Share of listeners needed, in percent (requires Manage Server)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(100)),
 
   new SlashCommandBuilder()
     .setName('queue')
@@ -60,6 +186,92 @@ export const commands = [
     .setName('nowplaying')
     .setDescription('Show the currently playing song'),
 
+  new SlashCommandBuilder()
+    .setName('volume')
+    .setDescription('Show or set the playback volume (remembered for this server)')
+    .addIntegerOption(option =>
+      option.setName('level')
+        .setDescription('Volume percentage (0-200, default: 100)')
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(MAX_VOLUME_PERCENT)),
+
+  new SlashCommandBuilder()
+    .setName('filter')
+    .setDescription('Apply an audio filter to playback')
+    .addSubcommand(subcommand =>
+      subcommand.setName('preset')
+        .setDescription('Use a filter preset')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Filter preset')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Off', value: 'off' },
+              ...Object.entries(FILTER_PRESETS).map(([value, preset]) => ({ name: preset.label, value }))
+            )))
+    .addSubcommand(subcommand =>
+      subcommand.setName('equalizer')
+        .setDescription('Set a custom bass/mid/treble equalizer')
+        .addIntegerOption(option =>
+          option.setName('bass')
+            .setDescription('Bass gain in dB (-20 to 20, default: 0)')
+            .setRequired(false)
+            .setMinValue(-20)
+            .setMaxValue(20))
+        .addIntegerOption(option =>
+          option.setName('mid')
+            .setDescription('Mid gain in dB (-20 to 20, default: 0)')
+            .setRequired(false)
+            .setMinValue(-20)
+            .setMaxValue(20))
+        .addIntegerOption(option =>
+          option.setName('treble')
+            .setDescription('Treble gain in dB (-20 to 20, default: 0)')
+            .setRequired(false)
+            .setMinValue(-20)
+            .setMaxValue(20))),
+
+  new SlashCommandBuilder()
+    .setName('normalize')
+    .setDescription('Even out loudness between songs (EBU R128 normalization)')
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Turn loudness normalization on or off')
+        .setRequired(true)
+        .addChoices(
+          { name: 'On', value: 'on' },
+          { name: 'Off', value: 'off' }
+        )),
+
+  new SlashCommandBuilder()
+    .setName('seek')
+    .setDescription('Jump to a position in the current song')
+    .addStringOption(option =>
+      option.setName('position')
+        .setDescription('Timestamp, e.g. 1:30 or 90')
+        .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('forward')
+    .setDescription('Fast-forward the current song')
+    .addIntegerOption(option =>
+      option.setName('seconds')
+        .setDescription('Seconds to skip ahead (default: 10)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(3600)),
+
+  new SlashCommandBuilder()
+    .setName('rewind')
+    .setDescription('Rewind the current song')
+    .addIntegerOption(option =>
+      option.setName('seconds')
+        .setDescription('Seconds to go back (default: 10)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(3600)),
+
   new SlashCommandBuilder()
     .setName('pause')
     .setDescription('Pause the current song'),
@@ -72,6 +284,63 @@ export const commands = [
     .setName('clear')
     .setDescription('Clear the entire queue'),
 
+  new SlashCommandBuilder()
+    .setName('remove')
+    .setDescription('Remove a song or a range of songs from the queue')
+    .addStringOption(option =>
+      option.setName('position')
+        .setDescription('Queue position or range, e.g. 3 or 2-5')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('move')
+    .setDescription('Move a song to a different position in the queue')
+    .addIntegerOption(option =>
+      option.setName('from')
+        .setDescription('Position of the song to move')
+        .setRequired(true)
+        .setMinValue(1)
+        .setAutocomplete(true))
+    .addIntegerOption(option =>
+      option.setName('to')
+        .setDescription('New position')
+        .setRequired(true)
+        .setMinValue(1)
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('shuffle')
+    .setDescription('Shuffle the queue (your own requests only, unless you are a DJ)'),
+
+  new SlashCommandBuilder()
+    .setName('skipto')
+    .setDescription('Skip straight to a song in the queue')
+    .addIntegerOption(option =>
+      option.setName('position')
+        .setDescription('Queue position to jump to')
+        .setRequired(true)
+        .setMinValue(1)
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('dedupe')
+    .setDescription('Remove duplicate songs from the queue'),
+
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show the songs played this session'),
+
+  new SlashCommandBuilder()
+    .setName('replay')
+    .setDescription('Queue a song from this session\'s history at the front')
+    .addIntegerOption(option =>
+      option.setName('number')
+        .setDescription('Song number from /history (1 = most recent)')
+        .setRequired(true)
+        .setMinValue(1)
+        .setAutocomplete(true)),
+
   new SlashCommandBuilder()
     .setName('leave')
     .setDescription('Disconnect the bot from the voice channel'),
@@ -88,6 +357,19 @@ export const commands = [
           { name: 'Off', value: 'off' }
         )),
 
+  new SlashCommandBuilder()
+    .setName('loop')
+    .setDescription('Repeat the current track or the whole queue')
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Loop mode')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Off', value: 'off' },
+          { name: 'Track', value: 'track' },
+          { name: 'Queue', value: 'queue' }
+        )),
+
   new SlashCommandBuilder()
     .setName('discovery')
     .setDescription('Toggle discovery mode (finds new songs similar to what you like)')
@@ -114,9 +396,128 @@ export const commands = [
     .setName('stats')
     .setDescription('Show bot statistics'),
 
+  new SlashCommandBuilder()
+    .setName('librarysharing')
+    .setDescription('Let radio use members\' song libraries from all their servers (off = this server only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Turn library sharing on or off')
+        .setRequired(true)
+        .addChoices(
+          { name: 'On', value: 'on' },
+          { name: 'Off', value: 'off' }
+        )),
+
+  new SlashCommandBuilder()
+    .setName('restorequeue')
+    .setDescription('Rejoin and restore the queue after the bot restarts')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption(option =>
+      option.setName('mode')
+        .setDescription('Turn queue restoring on or off')
+        .setRequired(true)
+        .addChoices(
+          { name: 'On', value: 'on' },
+          { name: 'Off', value: 'off' }
+        )),
+
+  new SlashCommandBuilder()
+    .setName('apikey')
+    .setDescription('Manage keys for the HTTP control API')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('create')
+        .setDescription('Create a key (shown once)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('What the key is for, e.g. "stream deck"')
+            .setRequired(true)
+            .setMaxLength(32)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List this server\'s keys'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('revoke')
+        .setDescription('Delete a key')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Key name')
+            .setRequired(true))),
+
+  new SlashCommandBuilder()
+    .setName('dj')
+    .setDescription('Choose who counts as a DJ and which commands only DJs can use')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('settings')
+        .setDescription('Show the DJ role and the DJ only commands'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('role')
+        .setDescription('Set the DJ role (leave empty to use a role named "DJ")')
+        .addRoleOption(option =>
+          option.setName('role')
+            .setDescription('Role whose members are DJs')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('command')
+        .setDescription('Limit a command to DJs, or open it to everyone')
+        .addStringOption(option =>
+          option.setName('command')
+            .setDescription('Command to change')
+            .setRequired(true)
+            .addChoices(...RESTRICTABLE_COMMANDS.map(name => ({ name: `/${name}`, value: name }))))
+        .addStringOption(option =>
+          option.setName('access')
+            .setDescription('Who can use it')
+            .setRequired(true)
+            .addChoices(
+              { name: 'DJs only', value: 'dj' },
+              { name: 'Everyone', value: 'everyone' }
+            )))
+    .addSubcommand(subcommand =>
+      subcommand.setName('alone')
+        .setDescription('Let a member who is alone with the bot use DJ only commands')
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('Turn the rule on or off')
+            .setRequired(true)
+            .addChoices(
+              { name: 'On', value: 'on' },
+              { name: 'Off', value: 'off' }
+            ))),
+
+  new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription('View or change this server\'s settings')
+    .addSubcommand(subcommand =>
+      subcommand.setName('view')
+        .setDescription('Show every setting and its current value'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('set')
+        .setDescription('Change a setting (requires Manage Server)')
+        .addStringOption(option =>
+          option.setName('setting')
+            .setDescription('Setting to change')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('value')
+            .setDescription('New value')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset')
+        .setDescription('Put a setting back to its default (requires Manage Server)')
+        .addStringOption(option =>
+          option.setName('setting')
+            .setDescription('Setting to reset')
+            .setRequired(true)
+            .setAutocomplete(true))),
+
   new SlashCommandBuilder()
     .setName('crossfade')
-    .setDescription('Configure crossfade duration between songs')
+    .setDescription('Configure how long songs overlap when one ends and the next starts')
     .addIntegerOption(option =>
       option.setName('seconds')
         .setDescription('Crossfade duration in seconds (1-10, default: 3)')
@@ -152,6 +553,12 @@ export async function handleCommand(interaction, musicQueue, context) {
   metrics.incrementCommands();
 
   try {
+    const denial = getCommandDenial(context.member, interaction.commandName, musicQueue);
+    if (denial) {
+      const embed = createErrorEmbed(denial);
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
     switch (interaction.commandName) {
       case 'play':
         await handlePlayCommand(interaction, musicQueue, context);
@@ -163,7 +570,10 @@ export async function handleCommand(interaction, musicQueue, context) {
         await handlePlaylistCommand(interaction, musicQueue, context);
         break;
       case 'skip':
-        await handleSkipCommand(interaction, musicQueue);
+        await handleSkipCommand(interaction, musicQueue, context);
+        break;
+      case 'skipvote':
+        await handleSkipVoteCommand(interaction, musicQueue, context);
         break;
       case 'queue':
         await handleQueueCommand(interaction, musicQueue);
@@ -171,6 +581,24 @@ export async function handleCommand(interaction, musicQueue, context) {
       case 'nowplaying':
         await handleNowPlayingCommand(interaction, musicQueue);
         break;
+      case 'volume':
+        await handleVolumeCommand(interaction, musicQueue);
+        break;
+      case 'filter':
+        await handleFilterCommand(interaction, musicQueue);
+        break;
+      case 'normalize':
+        await handleNormalizeCommand(interaction, context);
+        break;
+      case 'seek':
+        await handleSeekCommand(interaction, musicQueue);
+        break;
+      case 'forward':
+        await handleSeekByCommand(interaction, musicQueue, 1);
+        break;
+      case 'rewind':
+        await handleSeekByCommand(interaction, musicQueue, -1);
+        break;
       case 'pause':
         await handlePauseCommand(interaction, musicQueue);
         break;
@@ -180,20 +608,59 @@ export async function handleCommand(interaction, musicQueue, context) {
       case 'clear':
         await handleClearCommand(interaction, musicQueue);
         break;
+      case 'remove':
+        await handleRemoveCommand(interaction, musicQueue, context);
+        break;
+      case 'move':
+        await handleMoveCommand(interaction, musicQueue, context);
+        break;
+      case 'shuffle':
+        await handleShuffleCommand(interaction, musicQueue, context);
+        break;
+      case 'skipto':
+        await handleSkipToCommand(interaction, musicQueue, context);
+        break;
+      case 'dedupe':
+        await handleDedupeCommand(interaction, musicQueue, context);
+        break;
+      case 'history':
+        await handleHistoryCommand(interaction, musicQueue);
+        break;
+      case 'replay':
+        await handleReplayCommand(interaction, musicQueue);
+        break;
       case 'leave':
         await handleLeaveCommand(interaction, musicQueue);
         break;
       case 'radio':
         await handleRadioCommand(interaction, musicQueue, context);
         break;
+      case 'loop':
+        await handleLoopCommand(interaction, musicQueue);
+        break;
       case 'discovery':
         await handleDiscoveryCommand(interaction, musicQueue);
         break;
       case 'mysongs':
-        await handleMySongsCommand(interaction);
+        await handleMySongsCommand(interaction, context);
         break;
       case 'stats':
-        await handleStatsCommand(interaction);
+        await handleStatsCommand(interaction, context);
+        break;
+      case 'librarysharing':
+        await handleLibrarySharingCommand(interaction, context);
+        break;
+      case 'restorequeue':
+        await handleRestoreQueueCommand(interaction, context, musicQueue);
+        break;
+      case 'apikey':
+        await handleApiKeyCommand(interaction, context);
+        break;
+      case 'dj':
+        await handleDJCommand(interaction, context);
+        break;
+      case 'settings':
+        await handleSettingsCommand(interaction, musicQueue, context);
         break;
       case 'crossfade':
         await handleCrossfadeCommand(interaction, musicQueue);
@@ -223,6 +690,98 @@ export async function handleCommand(interaction, musicQueue, context) {
   }
 }
 
+// Discord allows at most 25 autocomplete choices, with names up to 100 characters
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+export async function handleAutocomplete(interaction, musicQueue, guildId) {
+  const focused = interaction.options.getFocused(true);
+
+  switch (interaction.commandName) {
+    case 'play':
+    case 'search':
+      await interaction.respond(await getQuerySuggestions(guildId, interaction.user.id, focused.value));
+      break;
+    case 'remove':
+    case 'move':
+    case 'skipto':
+      await interaction.respond(getQueuePositionChoices(musicQueue, focused));
+      break;
+    case 'replay':
+      await interaction.respond(getHistoryChoices(musicQueue, focused));
+      break;
+    case 'settings':
+      await interaction.respond(focused.name === 'value'
+        ? getSettingValueChoices(interaction, interaction.options.getString('setting'), focused)
+        : getSettingChoices(focused));
+      break;
+    default:
+      await interaction.respond([]);
+  }
+}
+
+// Queue positions labelled with song titles, filtered by what the user has typed
+function getQueuePositionChoices(musicQueue, focused) {
+  const queue = musicQueue?.getQueue() || [];
+  const typed = String(focused.value).trim().toLowerCase();
+  const asString = focused.type === ApplicationCommandOptionType.String;
+
+  // /remove also takes ranges, offer the typed range as-is
+  if (asString && parseQueueRange(typed, queue.length) && typed.includes('-')) {
+    return [{ name: `Remove positions ${typed.replace(/\s/g, '')}`, value: typed }];
+  }
+
+  return queue
+    .map((song, index) => ({ song, position: index + 1 }))
+    .filter(({ song, position }) =>
+      !typed || String(position).startsWith(typed) || song.title.toLowerCase().includes(typed))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+    .map(({ song, position }) => ({
+      name: `${position}. ${song.title} (${song.requestedBy.name})`.slice(0, 100),
+      value: asString ? String(position) : position
+    }));
+}
+
+function getHistoryChoices(musicQueue, focused) {
+  const history = musicQueue?.getSessionHistory() || [];
+  const typed = String(focused.value).trim().toLowerCase();
+
+  return history
+    .map(({ song }, index) => ({ song, number: index + 1 }))
+    .filter(({ song, number }) =>
+      !typed || String(number).startsWith(typed) || song.title.toLowerCase().includes(typed))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+    .map(({ song, number }) => ({ name: `${number}. ${song.title}`.slice(0, 100), value: number }));
+}
+
+function getSettingChoices(focused) {
+  const typed = String(focused.value).trim().toLowerCase();
+
+  return Object.entries(SETTINGS)
+    .filter(([key, setting]) => !typed || key.includes(typed) || setting.description.toLowerCase().includes(typed))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+    .map(([key, setting]) => ({ name: `${key} - ${setting.description}`.slice(0, 100), value: key }));
+}
+
+// The typed value if it's valid, then the setting's default and other likely values.
+// Role settings offer the server's roles, since choice names can't show mentions.
+function getSettingValueChoices(interaction, key, focused) {
+  const setting = SETTINGS[key];
+  if (!setting) return [];
+
+  if (setting.type === 'role') {
+    const typed = String(focused.value).trim().toLowerCase();
+    return [...(interaction.guild?.roles.cache.values() ?? [])]
+      .filter(role => role.id !== interaction.guild.id && role.name.toLowerCase().includes(typed))
+      .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+      .map(role => ({ name: `@${role.name}`.slice(0, 100), value: role.id }));
+  }
+
+  return getSettingSuggestions(key, focused.value).map(value => ({
+    name: `${formatSettingValue(key, value)}${JSON.stringify(value) === JSON.stringify(setting.default) ? ' (default)' : ''}`.slice(0, 100),
+    value: Array.isArray(value) ? (value.join(',') || 'none') : String(value)
+  }));
+}
+
 async function handlePlayCommand(interaction, musicQueue, context) {
   console.log('=== PLAY COMMAND START ===');
   console.log(`User: ${interaction.user.username}`);
@@ -409,6 +968,9 @@ async function handlePlayCommand(interaction, musicQueue, context) {
   }
 }
 
+const SEARCH_RESULT_LIMIT = 5;
+const SEARCH_MENU_TIMEOUT = 60000; // How long /search results can be picked from
+
 async function handleSearchCommand(interaction, musicQueue, context) {
   console.log('=== SEARCH COMMAND START ===');
   console.log(`User: ${interaction.user.username}`);
@@ -454,9 +1016,15 @@ async function handleSearchCommand(interaction, musicQueue, context) {
   }
 
   try {
+    // Autocomplete suggestions are URLs already, queue those without searching again
+    if (query.startsWith('http')) {
+      await queueSearchPicks(interaction, musicQueue, voiceChannel, [{ url: query }], priority, query, useChannelFallback);
+      return;
+    }
+
     // Search YouTube
     console.log('Searching YouTube...');
-    const searchResults = await play.search(query, { limit: 1 });
+    const searchResults = await play.search(query, { limit: SEARCH_RESULT_LIMIT });
 
     if (searchResults.length === 0) {
       const errorMsg = `❌ No results found for: ${query}`;
@@ -469,48 +1037,54 @@ async function handleSearchCommand(interaction, musicQueue, context) {
       return;
     }
 
-    const firstResult = searchResults[0];
-    const url = firstResult.url;
-
-    console.log(`Found: ${firstResult.title} - ${url}`);
-
-    // Add song to queue
-    const song = await musicQueue.addSong(url, interaction.user.id, interaction.user.username, priority);
-    console.log(`Song added: ${song.title}`);
+    const results = searchResults.map(video => ({
+      title: video.title,
+      url: video.url,
+      artist: video.channel?.name || 'Unknown',
+      duration: video.durationInSec,
+      thumbnail: video.thumbnails[0]?.url
+    }));
 
-    // Send success message
-    const position = musicQueue.getQueue().length + (musicQueue.isPlaying ? 1 : 0);
+    // Without a reply to hang the menu on, queue the top hit like before
     if (useChannelFallback) {
-      await interaction.channel.send(`🔍 Found and added: **${song.title}** (position ${position})`).catch(console.error);
-    } else {
-      const embed = createSongAddedEmbed(song, position, priority);
-      embed.setFooter({ text: `🔍 Search result for: ${query}` });
-      await interaction.editReply({ embeds: [embed] }).catch(console.error);
+      await queueSearchPicks(interaction, musicQueue, voiceChannel, [results[0]], priority, query, true);
+      return;
     }
 
-    // Connect to voice if needed
-    if (!musicQueue.connection) {
-      console.log('Connecting to voice...');
-      const connected = await musicQueue.connect(voiceChannel, interaction.channel);
+    const message = await interaction.editReply({
+      embeds: createSearchResultsEmbeds(query, results, SEARCH_MENU_TIMEOUT / 1000),
+      components: [createSearchSelectMenu('search_pick', results)]
+    });
 
-      if (!connected) {
-        const errorMsg = '❌ Failed to connect to voice channel!';
-        if (useChannelFallback) {
-          await interaction.channel.send(errorMsg).catch(console.error);
-        } else {
-          const errorEmbed = createErrorEmbed('Failed to connect to voice channel!');
-          await interaction.followUp({ embeds: [errorEmbed] }).catch(console.error);
-        }
+    const collector = message.createMessageComponentCollector({
+      componentType: ComponentType.StringSelect,
+      time: SEARCH_MENU_TIMEOUT
+    });
+
+    collector.on('collect', async (selectInteraction) => {
+      if (selectInteraction.user.id !== interaction.user.id) {
+        const embed = createErrorEmbed(`Only ${interaction.user.username} can pick from these results. Run \`/search\` yourself to pick a song.`);
+        await selectInteraction.reply({ embeds: [embed], ephemeral: true }).catch(console.error);
         return;
       }
-      console.log('Successfully connected!');
-    }
 
-    // Start playing if not already
-    if (!musicQueue.isPlaying) {
-      console.log('Starting playback...');
-      musicQueue.playNext();
-    }
+      collector.stop('picked');
+      await selectInteraction.deferUpdate().catch(console.error);
+
+      const picks = selectInteraction.values
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(index => results[index]);
+      await queueSearchPicks(interaction, musicQueue, voiceChannel, picks, priority, query, false);
+    });
+
+    collector.on('end', async (collected, reason) => {
+      if (reason === 'picked') return;
+
+      console.log(`Search menu expired for: ${query}`);
+      const embed = createInfoEmbed('🔍 Search Expired', `Nothing was picked for **${query}**.\n\nRun \`/search\` again to choose a song.`);
+      await interaction.editReply({ embeds: [embed], components: [] }).catch(console.error);
+    });
 
     console.log('=== SEARCH COMMAND SUCCESS ===');
   } catch (error) {
@@ -520,12 +1094,108 @@ async function handleSearchCommand(interaction, musicQueue, context) {
       await interaction.channel.send(errorMsg).catch(console.error);
     } else {
       const errorEmbed = createErrorEmbed(`Search failed: ${error.message}`);
-      await interaction.editReply({ embeds: [errorEmbed] }).catch(console.error);
+      await interaction.editReply({ embeds: [errorEmbed], components: [] }).catch(console.error);
+    }
+  }
+}
+
+// Queue the songs picked from /search results (in result order), then join
+// voice and start playing if needed
+async function queueSearchPicks(interaction, musicQueue, voiceChannel, picks, priority, query, useChannelFallback) {
+  // Priority songs go to the front one at a time, so add them last to first.
+  // One bad pick doesn't stop the others.
+  const songs = [];
+  const failures = [];
+  for (const pick of priority ? [...picks].reverse() : picks) {
+    try {
+      const song = await musicQueue.addSong(pick.url, interaction.user.id, interaction.user.username, priority);
+      console.log(`Song added: ${song.title}`);
+      songs.push(song);
+    } catch (error) {
+      console.error('Error queueing search result:', error);
+      failures.push(`**${pick.title || pick.url}**: ${error.message}`);
+    }
+  }
+  if (priority) {
+    songs.reverse();
+    failures.reverse();
+  }
+
+  // Send success message
+  const position = musicQueue.getQueue().length + (musicQueue.isPlaying ? 1 : 0);
+  if (songs.length === 0) {
+    const errorMsg = `Failed to add song: ${failures.join('\n')}`;
+    if (useChannelFallback) {
+      await interaction.channel.send(`❌ ${errorMsg}`).catch(console.error);
+    } else {
+      const errorEmbed = createErrorEmbed(errorMsg);
+      await interaction.editReply({ embeds: [errorEmbed], components: [] }).catch(console.error);
+    }
+    return;
+  }
+
+  if (useChannelFallback) {
+    await interaction.channel.send(`🔍 Found and added: **${songs[0].title}** (position ${position})`).catch(console.error);
+  } else if (songs.length === 1 && failures.length === 0) {
+    const embed = createSongAddedEmbed(songs[0], position, priority);
+    embed.setFooter({ text: `🔍 Search result for: ${query}` });
+    await interaction.editReply({ embeds: [embed], components: [] }).catch(console.error);
+  } else {
+    let description = songs.map(song => `**${song.title}**\n   🎙️ ${song.artist || 'Unknown Artist'}`).join('\n');
+    if (failures.length > 0) {
+      description += `\n\n⚠️ Couldn't add ${failures.length}:\n${failures.join('\n')}`;
+    }
+    const embed = createInfoEmbed(priority ? '⚡ Songs Added Next' : '🎵 Songs Added', description);
+    await interaction.editReply({ embeds: [embed], components: [] }).catch(console.error);
+  }
+
+  // Connect to voice if needed
+  if (!musicQueue.connection) {
+    console.log('Connecting to voice...');
+    const connected = await musicQueue.connect(voiceChannel, interaction.channel);
+
+    if (!connected) {
+      const errorMsg = '❌ Failed to connect to voice channel!';
+      if (useChannelFallback) {
+        await interaction.channel.send(errorMsg).catch(console.error);
+      } else {
+        const errorEmbed = createErrorEmbed('Failed to connect to voice channel!');
+        await interaction.followUp({ embeds: [errorEmbed] }).catch(console.error);
+      }
+      return;
     }
+    console.log('Successfully connected!');
+  }
+
+  // Start playing if not already
+  if (!musicQueue.isPlaying) {
+    console.log('Starting playback...');
+    musicQueue.playNext();
   }
 }
 
 async function handlePlaylistCommand(interaction, musicQueue, context) {
+  switch (interaction.options.getSubcommand()) {
+    case 'import':
+      return handlePlaylistImport(interaction, musicQueue, context);
+    case 'save':
+      return handlePlaylistSave(interaction, musicQueue, context);
+    case 'load':
+      return handlePlaylistLoad(interaction, musicQueue, context);
+    case 'list':
+      return handlePlaylistList(interaction, context);
+    case 'add':
+      return handlePlaylistAddTrack(interaction, musicQueue, context);
+    case 'remove':
+      return handlePlaylistRemoveTrack(interaction, context);
+    case 'rename':
+      return handlePlaylistRename(interaction, context);
+    case 'delete':
+      return handlePlaylistDelete(interaction, context);
+  }
+}
+
+async function handlePlaylistImport(interaction, musicQueue, context) {
   // Defer IMMEDIATELY before any processing to avoid timeout
   await interaction.deferReply();
 
@@ -562,69 +1232,681 @@ async function handlePlaylistCommand(interaction, musicQueue, context) {
   }
 }
 
-async function handleSkipCommand(interaction, musicQueue) {
-  if (!musicQueue.isPlaying) {
-    const embed = createErrorEmbed('Nothing is currently playing!');
-    return interaction.reply({ embeds: [embed], ephemeral: true });
-  }
+function getPlaylistOwnerId(scope, interaction, context) {
+  return scope === 'guild' ? context.guildId : interaction.user.id;
+}
 
-  const skippedSong = musicQueue.getCurrentSong();
-  musicQueue.skip();
+function describePlaylist(playlist) {
+  return `${playlist.scope === 'guild' ? 'server' : 'personal'} playlist **${playlist.name}**`;
+}
 
-  const embed = createInfoEmbed('⏭️ Skipped', `Skipped **${skippedSong.title}**`);
-  await interaction.reply({ embeds: [embed] });
+// Look up a saved playlist by name. Without an explicit scope, the user's
+// personal playlists take precedence over the server's.
+function findSavedPlaylist(interaction, context) {
+  const name = interaction.options.getString('name').trim();
+  const scope = interaction.options.getString('scope');
+  const scopes = scope ? [scope] : ['user', 'guild'];
+
+  for (const candidate of scopes) {
+    const playlist = getPlaylist(candidate, getPlaylistOwnerId(candidate, interaction, context), name);
+    if (playlist) return playlist;
+  }
+  return null;
 }
 
-async function handleQueueCommand(interaction, musicQueue) {
-  const queue = musicQueue.getQueue();
-  const current = musicQueue.getCurrentSong();
+// Personal playlists can only be changed by their owner; server playlists by
+// whoever created them or members with Manage Server
+function canEditPlaylist(playlist, interaction, context) {
+  if (playlist.scope === 'user') {
+    return playlist.owner_id === interaction.user.id;
+  }
+  return playlist.created_by === interaction.user.id ||
+    Boolean(context.member?.permissions?.has(PermissionFlagsBits.ManageGuild));
+}
 
-  const embed = createQueueEmbed(queue, current);
-  await interaction.reply({ embeds: [embed] });
+async function replyPlaylistNotFound(interaction) {
+  const name = interaction.options.getString('name');
+  const embed = createErrorEmbed(`No saved playlist named **${name}**. Use \`/playlist list\` to see your playlists.`);
+  return interaction.reply({ embeds: [embed], ephemeral: true });
 }
 
-async function handleNowPlayingCommand(interaction, musicQueue) {
+async function replyPlaylistReadOnly(interaction, playlist) {
+  const embed = createErrorEmbed(`You can't change the ${describePlaylist(playlist)}. Only its creator or members with **Manage Server** can.`);
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handlePlaylistSave(interaction, musicQueue, context) {
+  const name = interaction.options.getString('name').trim();
+  const scope = interaction.options.getString('scope') || 'user';
+  const overwrite = interaction.options.getBoolean('overwrite') || false;
+  const ownerId = getPlaylistOwnerId(scope, interaction, context);
+
   const current = musicQueue.getCurrentSong();
+  const songs = current ? [current, ...musicQueue.getQueue()] : [...musicQueue.getQueue()];
 
-  if (!current) {
-    const embed = createErrorEmbed('Nothing is currently playing!');
-    return interaction.reply({ embeds: [embed] });
+  if (songs.length === 0) {
+    const embed = createErrorEmbed('Nothing to save! Play or queue some songs first.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
   }
 
-  const isRadioSong = current.requestedBy.id === 'radio';
-  const embed = createNowPlayingEmbed(current, isRadioSong);
-  const buttons = createPlaybackButtons(musicQueue.isPlaying, false);
-
-  await interaction.reply({
-    embeds: [embed],
-    components: [buttons]
-  });
-}
+  const existing = getPlaylist(scope, ownerId, name);
+  if (existing && !overwrite) {
+    const embed = createErrorEmbed(`The ${describePlaylist(existing)} already exists. Use \`overwrite:True\` to replace it.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+  if (existing && !canEditPlaylist(existing, interaction, context)) {
+    return replyPlaylistReadOnly(interaction, existing);
+  }
 
-async function handlePauseCommand(interaction, musicQueue) {
-  if (!musicQueue.isPlaying) {
-    const embed = createErrorEmbed('Nothing is currently playing!');
+  const playlistId = savePlaylist(scope, ownerId, name, interaction.user.id, songs, overwrite);
+  if (!playlistId) {
+    const embed = createErrorEmbed('Failed to save the playlist. Please try again.');
     return interaction.reply({ embeds: [embed], ephemeral: true });
   }
 
-  musicQueue.pause();
-  const embed = createInfoEmbed('⏸️ Paused', 'Music playback paused');
+  const embed = createInfoEmbed(
+    '💾 Playlist Saved',
+    `Saved **${songs.length}** song${songs.length !== 1 ? 's' : ''} as the ${describePlaylist({ scope, name })}\n\nLoad it any time with \`/playlist load name:${name}\``
+  );
   await interaction.reply({ embeds: [embed] });
 }
 
-async function handleResumeCommand(interaction, musicQueue) {
-  musicQueue.resume();
-  const embed = createInfoEmbed('▶️ Resumed', 'Music playback resumed');
-  await interaction.reply({ embeds: [embed] });
-}
+async function handlePlaylistLoad(interaction, musicQueue, context) {
+  const playlist = findSavedPlaylist(interaction, context);
+  if (!playlist) {
+    return replyPlaylistNotFound(interaction);
+  }
 
-async function handleClearCommand(interaction, musicQueue) {
-  const count = musicQueue.getQueue().length;
+  const tracks = getPlaylistTracks(playlist.id);
+  if (tracks.length === 0) {
+    const embed = createErrorEmbed(`The ${describePlaylist(playlist)} is empty! Add tracks with \`/playlist add\``);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const voiceChannel = context.voiceChannel;
+  if (!voiceChannel) {
+    const embedMsg = context.isDM
+      ? 'You need to be in a voice channel in your last active server to play music!'
+      : 'You need to be in a voice channel to play music!';
+    const embed = createErrorEmbed(embedMsg);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  await interaction.deferReply();
+
+  if (!musicQueue.connection) {
+    const connected = await musicQueue.connect(voiceChannel, interaction.channel);
+    if (!connected) {
+      const embed = createErrorEmbed('Failed to connect to voice channel! Check bot permissions.');
+      return interaction.editReply({ embeds: [embed] });
+    }
+  }
+
+  const shuffle = interaction.options.getBoolean('shuffle') || false;
+  const songs = musicQueue.addSavedSongs(tracks, interaction.user.id, interaction.user.username, shuffle);
+
+  const embed = createPlaylistAddedEmbed(shuffle ? `${playlist.name} (🔀 shuffled)` : playlist.name, songs.length);
+  await interaction.editReply({ embeds: [embed] });
+
+  if (!musicQueue.isPlaying) {
+    musicQueue.playNext();
+  }
+}
+
+// Build the embed and page buttons for a playlist listing. `kind` is a scope
+// ('user'/'guild', id = owner ID) or 'tracks' (id = playlist ID).
+function buildPlaylistPage(kind, id, page) {
+  const playlist = kind === 'tracks' ? getPlaylistById(id) : null;
+  if (kind === 'tracks' && !playlist) return null;
+
+  const items = playlist ? getPlaylistTracks(playlist.id) : listPlaylists(kind, id);
+  const totalPages = Math.max(1, Math.ceil(items.length / PLAYLISTS_PER_PAGE));
+  const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+  const embed = playlist
+    ? createPlaylistTracksEmbed(playlist, items, currentPage)
+    : createPlaylistsEmbed(items, kind === 'guild' ? 'Server' : 'Personal', currentPage);
+  const components = totalPages > 1
+    ? [createPaginationButtons(`playlist_page:${kind}:${id}`, currentPage, totalPages)]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+async function handlePlaylistList(interaction, context) {
+  const name = interaction.options.getString('name');
+  const scope = interaction.options.getString('scope');
+
+  if (name) {
+    const playlist = findSavedPlaylist(interaction, context);
+    if (!playlist) {
+      return replyPlaylistNotFound(interaction);
+    }
+    const view = buildPlaylistPage('tracks', playlist.id, 0);
+    return interaction.reply({ ...view, ephemeral: playlist.scope === 'user' });
+  }
+
+  const listScope = scope || 'user';
+  const view = buildPlaylistPage(listScope, getPlaylistOwnerId(listScope, interaction, context), 0);
+  await interaction.reply({ ...view, ephemeral: listScope === 'user' });
+}
+
+// Page buttons on /playlist list replies (customId: playlist_page:<kind>:<id>:<page>)
+export async function handlePlaylistPageButton(interaction) {
+  const [, kind, id, page] = interaction.customId.split(':');
+  const view = buildPlaylistPage(kind, kind === 'tracks' ? Number(id) : id, Number(page));
+
+  if (!view) {
+    const embed = createErrorEmbed('That playlist no longer exists.');
+    return interaction.update({ embeds: [embed], components: [] });
+  }
+
+  await interaction.update(view);
+}
+
+async function handlePlaylistAddTrack(interaction, musicQueue, context) {
+  const playlist = findSavedPlaylist(interaction, context);
+  if (!playlist) {
+    return replyPlaylistNotFound(interaction);
+  }
+  if (!canEditPlaylist(playlist, interaction, context)) {
+    return replyPlaylistReadOnly(interaction, playlist);
+  }
+
+  const url = interaction.options.getString('url');
+  let song;
+
+  if (url) {
+    await interaction.deferReply();
+    try {
+      song = await musicQueue.resolveSong(url, interaction.user.id, interaction.user.username);
+    } catch (error) {
+      const embed = createErrorEmbed(`Failed to add track: ${error.message}`);
+      return interaction.editReply({ embeds: [embed] });
+    }
+  } else {
+    song = musicQueue.getCurrentSong();
+    if (!song) {
+      const embed = createErrorEmbed('Nothing is currently playing! Provide a URL to add instead.');
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+  }
+
+  const position = addPlaylistTrack(playlist.id, song, interaction.user.id);
+  const embed = position
+    ? createInfoEmbed('💾 Track Added', `Added **${song.title}** to the ${describePlaylist(playlist)} (track ${position})`)
+    : createErrorEmbed('Failed to add the track. Please try again.');
+
+  if (interaction.deferred) {
+    await interaction.editReply({ embeds: [embed] });
+  } else {
+    await interaction.reply({ embeds: [embed] });
+  }
+}
+
+async function handlePlaylistRemoveTrack(interaction, context) {
+  const playlist = findSavedPlaylist(interaction, context);
+  if (!playlist) {
+    return replyPlaylistNotFound(interaction);
+  }
+  if (!canEditPlaylist(playlist, interaction, context)) {
+    return replyPlaylistReadOnly(interaction, playlist);
+  }
+
+  const position = interaction.options.getInteger('position');
+  const removed = removePlaylistTrack(playlist.id, position);
+
+  if (!removed) {
+    const embed = createErrorEmbed(`The ${describePlaylist(playlist)} has no track ${position}. It has ${playlist.track_count} track${playlist.track_count !== 1 ? 's' : ''}.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const embed = createInfoEmbed('🗑️ Track Removed', `Removed **${removed.song_title}** from the ${describePlaylist(playlist)}`);
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handlePlaylistRename(interaction, context) {
+  const playlist = findSavedPlaylist(interaction, context);
+  if (!playlist) {
+    return replyPlaylistNotFound(interaction);
+  }
+  if (!canEditPlaylist(playlist, interaction, context)) {
+    return replyPlaylistReadOnly(interaction, playlist);
+  }
+
+  const newName = interaction.options.getString('new_name').trim();
+  const conflict = getPlaylist(playlist.scope, playlist.owner_id, newName);
+  if (conflict && conflict.id !== playlist.id) {
+    const embed = createErrorEmbed(`The ${describePlaylist(conflict)} already exists. Pick another name.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (!renamePlaylist(playlist.id, newName)) {
+    const embed = createErrorEmbed('Failed to rename the playlist. Please try again.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const embed = createInfoEmbed('✏️ Playlist Renamed', `Renamed the ${describePlaylist(playlist)} to **${newName}**`);
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handlePlaylistDelete(interaction, context) {
+  const playlist = findSavedPlaylist(interaction, context);
+  if (!playlist) {
+    return replyPlaylistNotFound(interaction);
+  }
+  if (!canEditPlaylist(playlist, interaction, context)) {
+    return replyPlaylistReadOnly(interaction, playlist);
+  }
+
+  if (!deletePlaylist(playlist.id)) {
+    const embed = createErrorEmbed('Failed to delete the playlist. Please try again.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const embed = createInfoEmbed('🗑️ Playlist Deleted', `Deleted the ${describePlaylist(playlist)} (${playlist.track_count} track${playlist.track_count !== 1 ? 's' : ''})`);
+  await interaction.reply({ embeds: [embed] });
+}
+
+// Title and description for the outcome of MusicQueue.voteSkip()
+export function describeSkipVote({ result, votes, needed }, song) {
+  switch (result) {
+    case 'skipped':
+      return ['⏭️ Skipped', votes > 0
+        ? `Vote passed with ${votes}/${needed} votes, skipped **${song.title}**`
+        : `Skipped **${song.title}**`];
+    case 'voted':
+      return ['🗳️ Skip Vote', `Voted to skip **${song.title}** - ${votes}/${needed} votes`];
+    case 'alreadyVoted':
+      return ['🗳️ Skip Vote', `You already voted to skip **${song.title}** - ${votes}/${needed} votes`];
+    default:
+      return ['❌ Not Listening', 'You need to be in the voice channel to vote to skip!'];
+  }
+}
+
+async function handleSkipCommand(interaction, musicQueue, context) {
+  if (!musicQueue.isPlaying) {
+    const embed = createErrorEmbed('Nothing is currently playing!');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const song = musicQueue.getCurrentSong();
+  const outcome = musicQueue.voteSkip(context.member);
+  const [title, description] = describeSkipVote(outcome, song);
+
+  if (outcome.result === 'notListening') {
+    const embed = createErrorEmbed(description);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const embed = createInfoEmbed(title, description);
+  await interaction.reply({ embeds: [embed], ephemeral: outcome.result === 'alreadyVoted' });
+}
+
+async function handleSkipVoteCommand(interaction, musicQueue, context) {
+  const percent = interaction.options.getInteger('percent');
+
+  if (percent === null) {
+    const current = getSetting(context.guildId, 'skip_vote_threshold');
+    const embed = createInfoEmbed(
+      '🗳️ Vote Skip',
+      `Songs are skipped once **${current}%** of the listeners vote with \`/skip\` or ⏭️.\n\n` +
+      'Whoever requested the song and DJs skip straight away.'
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (!await requireManageGuild(interaction, context, 'change the vote skip threshold')) return;
+
+  if (!await saveSetting(interaction, context.guildId, 'skip_vote_threshold', percent)) return;
+
+  musicQueue.applySettings();
+  musicQueue.checkSkipVotes();
+  const embed = createInfoEmbed('🗳️ Vote Skip', `Songs will now be skipped once **${percent}%** of the listeners vote.`);
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleQueueCommand(interaction, musicQueue) {
+  const queue = musicQueue.getQueue();
+  const current = musicQueue.getCurrentSong();
+
+  const embed = createQueueEmbed(queue, current);
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleNowPlayingCommand(interaction, musicQueue) {
+  const current = musicQueue.getCurrentSong();
+
+  if (!current) {
+    const embed = createErrorEmbed('Nothing is currently playing!');
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  await interaction.reply(musicQueue.buildNowPlayingMessage());
+}
+
+async function handleVolumeCommand(interaction, musicQueue) {
+  const level = interaction.options.getInteger('level');
+
+  if (level === null) {
+    const embed = createInfoEmbed(
+      '🔊 Volume',
+      `Current volume: **${musicQueue.getVolumePercent()}%**\n\nUse \`/volume level:X\` to change it (0-${MAX_VOLUME_PERCENT}%)`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const volume = musicQueue.setVolume(level);
+  const embed = createInfoEmbed(
+    `${volume === 0 ? '🔇' : '🔊'} Volume Updated`,
+    `Volume set to **${volume}%**${volume > DEFAULT_VOLUME_PERCENT ? '\n\n*Levels above 100% may distort.*' : ''}\n\nThis server will keep this volume across reconnects and restarts.`
+  );
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleFilterCommand(interaction, musicQueue) {
+  let filter = null;
+
+  if (interaction.options.getSubcommand() === 'equalizer') {
+    const gains = {
+      bass: interaction.options.getInteger('bass') ?? 0,
+      mid: interaction.options.getInteger('mid') ?? 0,
+      treble: interaction.options.getInteger('treble') ?? 0
+    };
+    // A flat equalizer is the same as no filter
+    if (gains.bass || gains.mid || gains.treble) {
+      filter = createEqualizerFilter(gains);
+    }
+  } else {
+    filter = FILTER_PRESETS[interaction.options.getString('name')] || null;
+  }
+
+  // Restarting a playing song with the new filter takes a few seconds
+  const restarting = musicQueue.isPlaying && musicQueue.getCurrentSong();
+  if (restarting) {
+    await interaction.deferReply();
+  }
+
+  await musicQueue.setFilter(filter);
+
+  const embed = createInfoEmbed(
+    '🎛️ Filter Updated',
+    filter
+      ? `Now playing with **${filter.label}**`
+      : 'Filters turned off'
+  );
+
+  if (restarting) {
+    await interaction.editReply({ embeds: [embed] });
+  } else {
+    await interaction.reply({ embeds: [embed] });
+  }
+}
+
+async function handleNormalizeCommand(interaction, context) {
+  const enabled = interaction.options.getString('mode') === 'on';
+  if (!await saveSetting(interaction, context.guildId, 'normalize_loudness', enabled)) return;
+
+  const embed = createInfoEmbed(
+    '📶 Loudness Normalization',
+    enabled
+      ? `Normalization is **on** - songs are leveled to ${LOUDNESS_TARGET_LUFS} LUFS so quiet and loud uploads sound alike.\n\nEach song is measured the first time it plays; takes effect from the next song.`
+      : 'Normalization is **off** (the default) - songs play at their original level.\n\nTakes effect from the next song.'
+  );
+  await interaction.reply({ embeds: [embed] });
+}
+
+const DEFAULT_SEEK_STEP = 10; // Seconds for /forward and /rewind without an amount
+
+async function handleSeekCommand(interaction, musicQueue) {
+  const input = interaction.options.getString('position');
+  const seconds = parseTimestamp(input);
+
+  if (seconds === null) {
+    const embed = createErrorEmbed(`Invalid timestamp: \`${input}\`\n\nUse \`mm:ss\`, \`hh:mm:ss\` or seconds, e.g. \`1:30\` or \`90\`.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  await seekAndReply(interaction, musicQueue, seconds);
+}
+
+async function handleSeekByCommand(interaction, musicQueue, direction) {
+  const step = interaction.options.getInteger('seconds') ?? DEFAULT_SEEK_STEP;
+  await seekAndReply(interaction, musicQueue, musicQueue.getPlaybackPosition() + direction * step);
+}
+
+async function seekAndReply(interaction, musicQueue, seconds) {
+  const current = musicQueue.getCurrentSong();
+
+  if (!current || !musicQueue.isPlaying) {
+    const embed = createErrorEmbed('Nothing is currently playing!');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (!current.duration) {
+    const embed = createErrorEmbed('Can\'t seek in a live stream or a song with unknown length.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // Restarting the stream takes a few seconds
+  await interaction.deferReply();
+
+  let position;
+  try {
+    position = await musicQueue.seek(seconds);
+  } catch (error) {
+    if (error.code !== STREAM_SUPERSEDED) throw error;
+
+    // Another seek, a filter change or the next song took over while this one loaded
+    const embed = createInfoEmbed('⏩ Seek Replaced', `This seek in **${current.title}** was replaced by a newer one.`);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  const embed = createInfoEmbed('⏩ Seeked', `**${current.title}** is now at \`${formatTimestamp(position)}\` of \`${formatTimestamp(current.duration)}\``);
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handlePauseCommand(interaction, musicQueue) {
+  if (!musicQueue.isPlaying) {
+    const embed = createErrorEmbed('Nothing is currently playing!');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  musicQueue.pause();
+  const embed = createInfoEmbed('⏸️ Paused', 'Music playback paused');
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleResumeCommand(interaction, musicQueue) {
+  musicQueue.resume();
+  const embed = createInfoEmbed('▶️ Resumed', 'Music playback resumed');
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleClearCommand(interaction, musicQueue) {
+  const count = musicQueue.getQueue().length;
   musicQueue.clear();
   const embed = createInfoEmbed('🗑️ Queue Cleared', `Removed ${count} song${count !== 1 ? 's' : ''} from the queue`);
   await interaction.reply({ embeds: [embed] });
 }
 
+// Queue editing commands. Positions are 1-based, as shown by /queue.
+
+async function replyWithQueue(interaction, musicQueue, title, description) {
+  const embed = createInfoEmbed(title, description);
+  const queueEmbed = createQueueEmbed(musicQueue.getQueue(), musicQueue.getCurrentSong());
+  await interaction.reply({ embeds: [embed, queueEmbed] });
+}
+
+async function replyNotYourSong(interaction, position, song) {
+  const embed = createErrorEmbed(
+    `Position ${position} (**${song.title}**) was requested by ${song.requestedBy.name}.\n\nOnly DJs can edit other people's requests.`
+  );
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Parse "3" or "2-5" into 0-based start/end indexes, or null if out of range
+function parseQueueRange(text, queueLength) {
+  const match = text.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+  if (!match) return null;
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : start;
+
+  if (start < 1 || end < start || end > queueLength) return null;
+  return { start: start - 1, end: end - 1 };
+}
+
+async function handleRemoveCommand(interaction, musicQueue, context) {
+  const queue = musicQueue.getQueue();
+  const input = interaction.options.getString('position');
+  const range = parseQueueRange(input, queue.length);
+
+  if (!range) {
+    const embed = createErrorEmbed(
+      queue.length === 0
+        ? 'The queue is empty!'
+        : `Invalid position: \`${input}\`\n\nUse a position (e.g. \`3\`) or a range (e.g. \`2-5\`) between 1 and ${queue.length}.`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  for (let index = range.start; index <= range.end; index++) {
+    if (!canEditQueuedSong(context.member, queue[index])) {
+      return replyNotYourSong(interaction, index + 1, queue[index]);
+    }
+  }
+
+  const removed = musicQueue.removeSongs(range.start, range.end);
+  const description = removed.length === 1
+    ? `Removed **${removed[0].title}**`
+    : `Removed ${removed.length} songs (positions ${range.start + 1}-${range.end + 1})`;
+
+  await replyWithQueue(interaction, musicQueue, '🗑️ Removed from Queue', description);
+}
+
+async function handleMoveCommand(interaction, musicQueue, context) {
+  const queue = musicQueue.getQueue();
+  const from = interaction.options.getInteger('from');
+  const to = interaction.options.getInteger('to');
+
+  if (from > queue.length || to > queue.length) {
+    const embed = createErrorEmbed(
+      queue.length === 0 ? 'The queue is empty!' : `Positions must be between 1 and ${queue.length}.`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // Every song between the two positions shifts by one, so non-DJs can only move across their own
+  for (let index = Math.min(from, to) - 1; index < Math.max(from, to); index++) {
+    if (!canEditQueuedSong(context.member, queue[index])) {
+      return replyNotYourSong(interaction, index + 1, queue[index]);
+    }
+  }
+
+  const song = musicQueue.moveSong(from - 1, to - 1);
+  await replyWithQueue(interaction, musicQueue, '↕️ Song Moved', `Moved **${song.title}** to position ${to}`);
+}
+
+async function handleShuffleCommand(interaction, musicQueue, context) {
+  const dj = isDJ(context.member);
+  const count = musicQueue.shuffleQueue(song => dj || song.requestedBy.id === interaction.user.id);
+
+  if (count < 2) {
+    const embed = createErrorEmbed(
+      dj ? 'Not enough songs in the queue to shuffle!' : 'You need at least 2 songs of your own in the queue to shuffle.'
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const description = dj ? `Shuffled ${count} songs` : `Shuffled your ${count} songs - everyone else's stay put`;
+  await replyWithQueue(interaction, musicQueue, '🔀 Queue Shuffled', description);
+}
+
+async function handleSkipToCommand(interaction, musicQueue, context) {
+  const queue = musicQueue.getQueue();
+  const position = interaction.options.getInteger('position');
+
+  if (position > queue.length) {
+    const embed = createErrorEmbed(
+      queue.length === 0 ? 'The queue is empty!' : `Position must be between 1 and ${queue.length}.`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // Ending the current song early is a skip, which non-DJs have to vote on
+  const current = musicQueue.getCurrentSong();
+  if (musicQueue.isPlaying && current && !canForceSkip(context.member, current)) {
+    const embed = createErrorEmbed(
+      `**${current.title}** was requested by ${current.requestedBy.name}. Vote to skip it with \`/skip\` first, or ask a DJ.`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  // Jumping ahead drops every song before the target, so non-DJs can only jump over their own
+  for (let index = 0; index < position - 1; index++) {
+    if (!canEditQueuedSong(context.member, queue[index])) {
+      return replyNotYourSong(interaction, index + 1, queue[index]);
+    }
+  }
+
+  const target = queue[position - 1];
+  const skipped = musicQueue.skipTo(position - 1);
+  let description = `Up next: **${target.title}**`;
+  if (skipped.length > 0) {
+    const songsText = `${skipped.length} song${skipped.length !== 1 ? 's' : ''}`;
+    description += musicQueue.loopMode === 'queue'
+      ? `\nMoved ${songsText} to the end of the queue`
+      : `\nSkipped ${songsText}`;
+  }
+
+  await replyWithQueue(interaction, musicQueue, '⏩ Skipping Ahead', description);
+}
+
+async function handleDedupeCommand(interaction, musicQueue, context) {
+  const dj = isDJ(context.member);
+  const removed = musicQueue.dedupeQueue(song => dj || song.requestedBy.id === interaction.user.id);
+
+  if (removed.length === 0) {
+    const embed = createInfoEmbed('✨ No Duplicates', 'There are no duplicate songs to remove.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  await replyWithQueue(
+    interaction,
+    musicQueue,
+    '✨ Duplicates Removed',
+    `Removed ${removed.length} duplicate${removed.length !== 1 ? 's' : ''}`
+  );
+}
+
+async function handleHistoryCommand(interaction, musicQueue) {
+  const embed = createHistoryEmbed(musicQueue.getSessionHistory());
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleReplayCommand(interaction, musicQueue) {
+  const number = interaction.options.getInteger('number');
+  const history = musicQueue.getSessionHistory();
+
+  if (number > history.length) {
+    const embed = createErrorEmbed(
+      history.length === 0
+        ? 'No songs have finished playing this session yet!'
+        : `Pick a number between 1 and ${history.length} (see /history).`
+    );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (!musicQueue.connection) {
+    const embed = createErrorEmbed('Bot is not in a voice channel! Use /play to start a session.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const song = musicQueue.replay(number - 1, interaction.user.id, interaction.user.username);
+  await replyWithQueue(interaction, musicQueue, '⏮️ Replaying', `**${song.title}** is up next`);
+}
+
 async function handleLeaveCommand(interaction, musicQueue) {
   if (!musicQueue.connection) {
     const embed = createErrorEmbed('Bot is not in a voice channel!');
@@ -682,6 +1964,26 @@ async function handleRadioCommand(interaction, musicQueue, context) {
   }
 }
 
+export function describeLoopMode(mode) {
+  switch (mode) {
+    case 'track':
+      return ['🔂 Looping Track', 'The current song will repeat until you skip it or turn looping off.'];
+    case 'queue':
+      return ['🔁 Looping Queue', 'Finished songs go back to the end of the queue. Radio picks are not requeued, so radio only takes over once looping is off.'];
+    default:
+      return ['➡️ Loop Off', 'Songs play once and leave the queue.'];
+  }
+}
+
+async function handleLoopCommand(interaction, musicQueue) {
+  const mode = interaction.options.getString('mode');
+  musicQueue.setLoopMode(mode);
+
+  const [title, description] = describeLoopMode(mode);
+  const embed = createInfoEmbed(title, description);
+  await interaction.reply({ embeds: [embed] });
+}
+
 async function handleDiscoveryCommand(interaction, musicQueue) {
   const mode = interaction.options.getString('mode');
   const enabled = mode === 'on';
@@ -696,15 +1998,15 @@ async function handleDiscoveryCommand(interaction, musicQueue) {
   const embed = createInfoEmbed(
     enabled ? '🔍 Discovery Mode Enabled' : '🔍 Discovery Mode Disabled',
     enabled
-      ? 'Bot will now introduce new songs similar to what you like!\n\n• 30% of radio songs will be discoveries\n• Based on your listening history\n• 👍 React to add discoveries to your library'
+      ? `Bot will now introduce new songs similar to what you like!\n\n• ${getSetting(musicQueue.guildId, 'discovery_chance')}% of radio songs will be discoveries\n• Based on your listening history\n• 👍 React to add discoveries to your library`
       : 'Bot will only play songs from your existing library'
   );
   await interaction.reply({ embeds: [embed] });
 }
 
-async function handleMySongsCommand(interaction) {
+async function handleMySongsCommand(interaction, context) {
   const limit = interaction.options.getInteger('limit') || 10;
-  const songs = getUserSongs(interaction.user.id, limit);
+  const songs = getUserSongs(context.guildId, interaction.user.id, limit);
 
   const embed = createUserSongsEmbed(interaction.user.username, songs);
   await interaction.reply({
@@ -713,8 +2015,8 @@ async function handleMySongsCommand(interaction) {
   });
 }
 
-async function handleStatsCommand(interaction) {
-  const stats = getStats();
+async function handleStatsCommand(interaction, context) {
+  const stats = getStats(context.guildId);
   const performanceMetrics = metrics.getSnapshot();
 
   // Combine database stats with performance metrics
@@ -727,6 +2029,198 @@ async function handleStatsCommand(interaction) {
   await interaction.reply({ embeds: [embed] });
 }
 
+async function handleLibrarySharingCommand(interaction, context) {
+  if (!await requireManageGuild(interaction, context, 'change library sharing')) return;
+
+  const enabled = interaction.options.getString('mode') === 'on';
+  if (!await saveSetting(interaction, context.guildId, 'share_libraries', enabled)) return;
+
+  const embed = createInfoEmbed(
+    enabled ? '🔗 Library Sharing Enabled' : '🔒 Library Sharing Disabled',
+    enabled
+      ? 'Radio will now use listeners\' song requests and ratings from **every server** they share with the bot.'
+      : 'Radio will only use song requests and ratings made **in this server**.'
+  );
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleRestoreQueueCommand(interaction, context, musicQueue) {
+  if (!await requireManageGuild(interaction, context, 'change queue restoring')) return;
+
+  const enabled = interaction.options.getString('mode') === 'on';
+  if (!await saveSetting(interaction, context.guildId, 'restore_queue', enabled)) return;
+  musicQueue.queueRestoreChanged();
+
+  const embed = createInfoEmbed(
+    enabled ? '♻️ Queue Restoring Enabled' : '♻️ Queue Restoring Disabled',
+    enabled
+      ? 'After a restart the bot will rejoin the voice channel, restore the queue and modes, and resume the current song.'
+      : 'The queue will no longer be saved, so it starts empty after a restart.'
+  );
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleApiKeyCommand(interaction, context) {
+  if (!await requireManageGuild(interaction, context, 'manage API keys')) return;
+
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'list') {
+    const keys = listApiKeys(context.guildId);
+    const description = keys.length === 0
+      ? 'No API keys yet. Create one with `/apikey create`.'
+      : keys.map(key => `**${key.name}** - created ${key.created_at.split(' ')[0]}, ${key.last_used_at ? `last used ${key.last_used_at}` : 'never used'}`).join('\n');
+    const embed = createInfoEmbed('🔑 API Keys', description);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const name = interaction.options.getString('name').trim();
+  const existing = getApiKey(context.guildId, name);
+
+  if (subcommand === 'revoke') {
+    if (!existing) {
+      const embed = createErrorEmbed(`No API key named **${name}**.`);
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+    deleteApiKey(existing.id);
+    const embed = createInfoEmbed('🔑 API Key Revoked', `**${existing.name}** can no longer be used.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (existing) {
+    const embed = createErrorEmbed(`An API key named **${existing.name}** already exists. Revoke it first or pick another name.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const { key, keyHash } = generateApiKey();
+  if (!createApiKey(context.guildId, name, keyHash, interaction.user.id)) {
+    const embed = createErrorEmbed('Failed to create the API key.');
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const embed = createInfoEmbed(
+    '🔑 API Key Created',
+    `Key **${name}** for this server:\n\`\`\`${key}\`\`\`\nSend it as \`Authorization: Bearer <key>\` to \`/api/guilds/${context.guildId}/...\`. ` +
+    'It is only shown this once - if you lose it, revoke it and create a new one.'
+  );
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleDJCommand(interaction, context) {
+  if (!await requireManageGuild(interaction, context, 'change DJ settings')) return;
+
+  const { guildId } = context;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'role') {
+    const role = interaction.options.getRole('role');
+    if (role) {
+      if (!await saveSetting(interaction, guildId, 'dj_role_id', role.id)) return;
+    } else {
+      resetSetting(guildId, 'dj_role_id');
+    }
+    const embed = createInfoEmbed(
+      '🎧 DJ Role',
+      role ? `Members with <@&${role.id}> are now DJs.` : 'Members with a role named **DJ** are now DJs.'
+    );
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  if (subcommand === 'command') {
+    const command = interaction.options.getString('command');
+    const djOnly = interaction.options.getString('access') === 'dj';
+    const djCommands = getDJCommands(guildId).filter(name => name !== command);
+    if (djOnly) {
+      djCommands.push(command);
+    }
+    if (!await saveSetting(interaction, guildId, 'dj_only_commands', djCommands)) return;
+
+    const embed = createInfoEmbed(
+      '🎧 DJ Commands',
+      djOnly ? `\`/${command}\` can now only be used by DJs.` : `Everyone can now use \`/${command}\`.`
+    );
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  if (subcommand === 'alone') {
+    const enabled = interaction.options.getString('mode') === 'on';
+    if (!await saveSetting(interaction, guildId, 'dj_when_alone', enabled)) return;
+    const embed = createInfoEmbed(
+      '🎧 DJ When Alone',
+      enabled
+        ? 'Members who are the only one listening can now use DJ only commands.'
+        : 'Only DJs can use DJ only commands, even when nobody else is listening.'
+    );
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  const roleId = getSetting(guildId, 'dj_role_id');
+  const djCommands = getDJCommands(guildId);
+  const embed = createInfoEmbed('🎧 DJ Settings', [
+    `**DJ role:** ${roleId ? `<@&${roleId}>` : 'any role named "DJ"'} (plus Manage Server / Manage Channels)`,
+    `**DJ only:** ${djCommands.length > 0 ? djCommands.map(name => `\`/${name}\``).join(', ') : 'nothing'}`,
+    `**Alone counts as DJ:** ${getSetting(guildId, 'dj_when_alone') ? 'on' : 'off'}`
+  ].join('\n'));
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Store a setting changed by a command. Replies with the error and returns
+// false if it couldn't be saved.
+async function saveSetting(interaction, guildId, key, value) {
+  const error = setSetting(guildId, key, value);
+  if (error) {
+    const embed = createErrorEmbed(error);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return false;
+  }
+  return true;
+}
+
+async function handleSettingsCommand(interaction, musicQueue, context) {
+  const { guildId } = context;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'view') {
+    const description = Object.entries(SETTINGS).map(([key, setting]) => {
+      const value = formatSettingValue(key, getSetting(guildId, key));
+      const state = isSettingCustomized(guildId, key) ? `default: ${formatSettingValue(key, setting.default)}` : 'default';
+      return `**${key}**: ${value} (${state})\n${setting.description}`;
+    }).join('\n\n');
+    const embed = createInfoEmbed('⚙️ Settings', `${description}\n\nChange one with \`/settings set\`.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (!await requireManageGuild(interaction, context, 'change settings')) return;
+
+  const key = interaction.options.getString('setting');
+  if (!SETTINGS[key]) {
+    const embed = createErrorEmbed(`Unknown setting **${key}**. See \`/settings view\` for the list.`);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (subcommand === 'reset') {
+    resetSetting(guildId, key);
+  } else if (!await saveSetting(interaction, guildId, key, interaction.options.getString('value'))) {
+    return;
+  }
+
+  musicQueue.applySettings();
+  musicQueue.checkSkipVotes();
+
+  // Settings that other commands also change take effect the way those commands apply them
+  if (key === 'default_volume') {
+    musicQueue.setVolume(getSetting(guildId, key));
+  } else if (key === 'restore_queue') {
+    musicQueue.queueRestoreChanged();
+  }
+  const value = formatSettingValue(key, getSetting(guildId, key));
+  const embed = createInfoEmbed(
+    '⚙️ Setting Updated',
+    subcommand === 'reset' ? `**${key}** is back to its default of **${value}**.` : `**${key}** is now **${value}**.`
+  );
+  await interaction.reply({ embeds: [embed] });
+}
+
 async function handleCrossfadeCommand(interaction, musicQueue) {
   const seconds = interaction.options.getInteger('seconds');
 
@@ -741,11 +2235,12 @@ async function handleCrossfadeCommand(interaction, musicQueue) {
   }
 
   // Set new crossfade duration
-  musicQueue.crossfadeDuration = seconds * 1000;
+  if (!await saveSetting(interaction, musicQueue.guildId, 'crossfade', seconds)) return;
+  musicQueue.applySettings();
 
   const embed = createInfoEmbed(
     '🎚️ Crossfade Updated',
-    `Crossfade duration set to **${seconds} second${seconds !== 1 ? 's' : ''}**\n\nSongs will now smoothly fade in and out when transitioning.`
+    `Crossfade duration set to **${seconds} second${seconds !== 1 ? 's' : ''}**\n\nThe next song will start fading in while the current one fades out.`
   );
   await interaction.reply({ embeds: [embed] });
 }
@@ -1,5 +1,17 @@
 import { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, MessageFlags } from 'discord.js';
 import { createQueueEmbed, createInfoEmbed, createErrorEmbed } from './radioEmbeds.js';
+import { describeSkipVote } from './commands.js';
+import { getCommandDenial } from './permissions.js';
+
+/**
+ * The slash command each context menu entry stands in for, for DJ only checks
+ */
+const CONTEXT_MENU_COMMANDS = {
+  'Play Song': 'play',
+  'Skip Song': 'skip',
+  'Show Queue': 'queue',
+  'Pause/Resume': 'pause'
+};
 
 /**
  * Handle context menu (right-click) command interactions
@@ -9,13 +21,19 @@ export async function handleContextMenuCommand(interaction, musicQueue, context)
 
   console.log(`Context menu command: ${commandName} by ${interaction.user.username}`);
 
+  const denial = getCommandDenial(context.member, CONTEXT_MENU_COMMANDS[commandName], musicQueue);
+  if (denial) {
+    const embed = createErrorEmbed(denial);
+    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
   switch (commandName) {
     case 'Play Song':
       await handlePlaySongContextMenu(interaction);
       break;
 
     case 'Skip Song':
-      await handleSkipContextMenu(interaction, musicQueue);
+      await handleSkipContextMenu(interaction, musicQueue, context);
       break;
 
     case 'Show Queue':
@@ -67,18 +85,19 @@ async function handlePlaySongContextMenu(interaction) {
 }
 
 /**
- * Handle "Skip Song" context menu
+ * Handle "Skip Song" context menu - skips, or votes to skip, like /skip
  */
-async function handleSkipContextMenu(interaction, musicQueue) {
+async function handleSkipContextMenu(interaction, musicQueue, context) {
   if (!musicQueue.isPlaying) {
     const embed = createErrorEmbed('Nothing is currently playing!');
     return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
   }
 
-  const skippedSong = musicQueue.getCurrentSong();
-  musicQueue.skip();
+  const song = musicQueue.getCurrentSong();
+  const outcome = musicQueue.voteSkip(context.member);
+  const [title, description] = describeSkipVote(outcome, song);
 
-  const embed = createInfoEmbed('⏭️ Skipped', `Skipped **${skippedSong.title}**`);
+  const embed = outcome.result === 'notListening' ? createErrorEmbed(description) : createInfoEmbed(title, description);
   await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
 }
 
@@ -0,0 +1,241 @@
+// HTTP control API
+//
+// Lets other tools (stream decks, home automation, scripts) drive a guild's queue
+// without going through Discord. Every endpoint is under /api/guilds/:guildId and
+// needs one of that guild's API keys (created with /apikey) as a bearer token.
+// Errors come back as { error } with the same wording the slash commands use.
+
+import { createHash, randomBytes } from 'crypto';
+import { addRoute, sendJson, readJsonBody, HttpError } from './httpServer.js';
+import { describeSong } from './musicQueue.js';
+import { getApiKeyByHash, touchApiKey } from './database.js';
+
+const API_KEY_PREFIX = 'ea_';
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// A new random key and the hash to store for it
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + randomBytes(24).toString('base64url');
+  return { key, keyHash: hashApiKey(key) };
+}
+
+// Check the bearer key against the guild in the path. Returns the key's row.
+function authenticate(req, guildId) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  return verifyApiKey(match?.[1], guildId);
+}
+
+// The row for key if it is one of guildId's keys, HttpError 401/403 otherwise
+export function verifyApiKey(key, guildId) {
+  const apiKey = key ? getApiKeyByHash(hashApiKey(key)) : null;
+
+  if (!apiKey) {
+    throw new HttpError(401, 'Missing or invalid API key');
+  }
+  if (apiKey.guild_id !== guildId) {
+    throw new HttpError(403, 'This API key belongs to a different server');
+  }
+
+  touchApiKey(apiKey.id);
+  return apiKey;
+}
+
+// Who a request acts as: the Discord member given as userId, or the key itself.
+// Songs queued as the key aren't added to any member's library.
+async function resolveRequester(guild, userId, apiKey) {
+  if (!userId) {
+    return { id: 'api', name: apiKey.name };
+  }
+
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) {
+    throw new HttpError(400, 'userId is not a member of this server');
+  }
+  return { id: member.id, name: member.user.username, member };
+}
+
+// The voice channel to join when the bot isn't connected yet: voiceChannelId if
+// given, otherwise wherever the requesting member is
+async function resolveVoiceChannel(guild, body, requester) {
+  if (body.voiceChannelId) {
+    const channel = await guild.channels.fetch(body.voiceChannelId).catch(() => null);
+    if (!channel?.isVoiceBased()) {
+      throw new HttpError(400, 'voiceChannelId is not a voice channel in this server');
+    }
+    return channel;
+  }
+  return requester.member?.voice.channel || null;
+}
+
+// Where the bot posts now-playing messages. Voice channels have their own text
+// chat, so the voice channel works when nothing else is given.
+async function resolveTextChannel(guild, body, musicQueue, voiceChannel) {
+  if (body.textChannelId) {
+    const channel = await guild.channels.fetch(body.textChannelId).catch(() => null);
+    if (!channel?.isTextBased()) {
+      throw new HttpError(400, 'textChannelId is not a text channel in this server');
+    }
+    return channel;
+  }
+  return musicQueue.textChannel || voiceChannel;
+}
+
+// Join voice if needed, with the same errors as the commands. noVoiceMessage is
+// what the matching command says when the user isn't in a voice channel.
+async function ensureConnected(guild, body, musicQueue, requester, noVoiceMessage) {
+  if (musicQueue.connection) return;
+
+  const voiceChannel = await resolveVoiceChannel(guild, body, requester);
+  if (!voiceChannel) {
+    throw new HttpError(409, noVoiceMessage);
+  }
+  await connectTo(guild, body, musicQueue, voiceChannel);
+}
+
+async function connectTo(guild, body, musicQueue, voiceChannel) {
+  const textChannel = await resolveTextChannel(guild, body, musicQueue, voiceChannel);
+  const connected = await musicQueue.connect(voiceChannel, textChannel);
+  if (!connected) {
+    throw new HttpError(502, 'Failed to connect to voice channel! Check bot permissions.');
+  }
+}
+
+function requireUrl(body) {
+  if (typeof body.url !== 'string' || !body.url.startsWith('http')) {
+    throw new HttpError(400, 'url must be an http(s) URL');
+  }
+  return body.url;
+}
+
+function requireBoolean(body, name) {
+  if (typeof body[name] !== 'boolean') {
+    throw new HttpError(400, `${name} must be true or false`);
+  }
+  return body[name];
+}
+
+function requirePlaying(musicQueue) {
+  if (!musicQueue.isPlaying) {
+    throw new HttpError(409, 'Nothing is currently playing!');
+  }
+}
+
+// getMusicQueue(guildId) returns the guild's queue, creating it if needed
+export function registerControlApiRoutes(client, getMusicQueue) {
+  // Wrap a handler with auth and guild lookup. handler(context) gets the guild,
+  // its queue, the API key row and the parsed body (for POSTs).
+  const route = (method, path, handler) => {
+    addRoute(method, `/api/guilds/:guildId${path}`, async (req, res, url, { guildId }) => {
+      const apiKey = authenticate(req, guildId);
+
+      const guild = client.guilds.cache.get(guildId);
+      if (!guild) {
+        throw new HttpError(404, 'The bot is not in that server');
+      }
+
+      const body = method === 'POST' ? await readJsonBody(req) : {};
+      const musicQueue = getMusicQueue(guildId);
+      const [status, result] = await handler({ guild, musicQueue, apiKey, body });
+      sendJson(res, status, result);
+    });
+  };
+
+  route('GET', '/queue', ({ musicQueue }) => [200, musicQueue.getStatus()]);
+
+  route('POST', '/songs', async ({ guild, musicQueue, apiKey, body }) => {
+    const url = requireUrl(body);
+    const requester = await resolveRequester(guild, body.userId, apiKey);
+    const priority = body.priority === true;
+
+    // Join first, so the queue has a text channel for its messages
+    await ensureConnected(guild, body, musicQueue, requester, 'You need to be in a voice channel to play music!');
+
+    let song;
+    try {
+      song = await musicQueue.addSong(url, requester.id, requester.name, priority);
+    } catch (error) {
+      throw new HttpError(422, `Failed: ${error.message}`);
+    }
+    const position = musicQueue.getQueue().length + (musicQueue.isPlaying ? 1 : 0);
+
+    if (!musicQueue.isPlaying) {
+      musicQueue.playNext();
+    }
+
+    console.log(`🔌 API (${apiKey.name}) added "${song.title}" in ${guild.id}`);
+    return [201, { song: describeSong(song), position: priority ? 1 : position }];
+  });
+
+  route('POST', '/playlists', async ({ guild, musicQueue, apiKey, body }) => {
+    const url = requireUrl(body);
+    const requester = await resolveRequester(guild, body.userId, apiKey);
+
+    await ensureConnected(guild, body, musicQueue, requester, 'You need to be in a voice channel to play music!');
+
+    let result;
+    try {
+      result = await musicQueue.addPlaylist(url, requester.id, requester.name);
+    } catch (error) {
+      throw new HttpError(422, `Failed to add playlist: ${error.message}`);
+    }
+
+    if (!musicQueue.isPlaying) {
+      musicQueue.playNext();
+    }
+
+    console.log(`🔌 API (${apiKey.name}) added playlist "${result.playlistTitle}" in ${guild.id}`);
+    return [201, { playlistTitle: result.playlistTitle, totalSongs: result.totalSongs }];
+  });
+
+  route('POST', '/skip', ({ musicQueue }) => {
+    requirePlaying(musicQueue);
+    const skipped = musicQueue.getCurrentSong();
+    musicQueue.skip();
+    return [200, { skipped: describeSong(skipped) }];
+  });
+
+  route('POST', '/pause', ({ musicQueue }) => {
+    requirePlaying(musicQueue);
+    musicQueue.pause();
+    return [200, { status: 'paused' }];
+  });
+
+  route('POST', '/resume', ({ musicQueue }) => {
+    musicQueue.resume();
+    return [200, { status: musicQueue.isPlaying ? 'playing' : 'idle' }];
+  });
+
+  route('POST', '/clear', ({ musicQueue }) => {
+    const removed = musicQueue.getQueue().length;
+    musicQueue.clear();
+    return [200, { removed }];
+  });
+
+  route('POST', '/radio', async ({ guild, musicQueue, apiKey, body }) => {
+    const enabled = requireBoolean(body, 'enabled');
+    const requester = await resolveRequester(guild, body.userId, apiKey);
+
+    await ensureConnected(guild, body, musicQueue, requester, 'You need to be in a voice channel to use radio mode!');
+
+    musicQueue.setRadioMode(enabled);
+    musicQueue.updateActiveUsers();
+    if (enabled && !musicQueue.isPlaying) {
+      musicQueue.playNext();
+    }
+
+    return [200, { radioMode: enabled, listeners: musicQueue.activeUsers.size }];
+  });
+
+  route('POST', '/discovery', ({ musicQueue, body }) => {
+    const enabled = requireBoolean(body, 'enabled');
+    if (!musicQueue.radioMode) {
+      throw new HttpError(409, 'Discovery mode requires radio mode to be enabled first! Use `/radio on`');
+    }
+
+    musicQueue.setDiscoveryMode(enabled);
+    return [200, { discoveryMode: enabled }];
+  });
+}
@@ -0,0 +1,202 @@
+// Operator dashboard
+//
+// A small web page for running the bot without slash commands: every guild's
+// queue with skip/pause/remove, the song library and ratings with editing, and
+// live metrics and readiness. The page itself is static; everything it shows
+// comes from /dashboard/api/*, which needs DASHBOARD_TOKEN as a bearer token.
+// Without DASHBOARD_TOKEN the dashboard isn't served at all.
+
+import { readFileSync } from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+import { addRoute, sendJson, readJsonBody, HttpError } from './httpServer.js';
+import { getReadiness } from './health.js';
+import { describeSong } from './musicQueue.js';
+import metrics from './metrics.js';
+import {
+  listUserSongRows,
+  updateUserSongRow,
+  deleteUserSongRow,
+  listSongRatingRows,
+  updateSongRatingRow,
+  deleteSongRatingRow
+} from './database.js';
+
+const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN || '';
+const PAGE_HTML = readFileSync(new URL('./dashboard.html', import.meta.url));
+const MAX_PAGE_SIZE = 200;
+
+// Hash both sides so the comparison takes the same time whatever the length
+function tokenMatches(token) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(token), digest(DASHBOARD_TOKEN));
+}
+
+// Wrap an API handler with the token check
+function authenticated(handler) {
+  return async (req, res, url) => {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match || !tokenMatches(match[1])) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendJson(res, 401, { error: 'Missing or invalid dashboard token' });
+    }
+    return handler(req, res, url);
+  };
+}
+
+function describeQueue(client, guildId, musicQueue) {
+  return {
+    guildName: client.guilds.cache.get(guildId)?.name || guildId,
+    ...musicQueue.getStatus()
+  };
+}
+
+function getGuildQueue(guildQueues, guildId) {
+  const musicQueue = guildQueues.get(guildId);
+  if (!musicQueue) {
+    throw new HttpError(404, 'No queue for that guild');
+  }
+  return musicQueue;
+}
+
+// Positive integer ID or position from a request body
+function requireInteger(value, name, min = 1) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new HttpError(400, `${name} must be an integer of at least ${min}`);
+  }
+  return number;
+}
+
+function parseListOptions(url) {
+  return {
+    guildId: url.searchParams.get('guildId') || null,
+    search: (url.searchParams.get('search') || '').trim(),
+    limit: Math.min(MAX_PAGE_SIZE, parseInt(url.searchParams.get('limit'), 10) || 50),
+    offset: Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0)
+  };
+}
+
+function sendChangeResult(res, changed) {
+  if (!changed) {
+    return sendJson(res, 404, { error: 'No row with that ID' });
+  }
+  sendJson(res, 200, { ok: true });
+}
+
+export function registerDashboardRoutes(client, guildQueues) {
+  if (!DASHBOARD_TOKEN) {
+    console.log('Dashboard disabled (set DASHBOARD_TOKEN to enable it)');
+    return;
+  }
+
+  addRoute('GET', '/dashboard', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(PAGE_HTML);
+  });
+
+  // Everything the overview tab polls
+  addRoute('GET', '/dashboard/api/overview', authenticated((req, res) => {
+    sendJson(res, 200, {
+      metrics: metrics.getSnapshot(),
+      readiness: getReadiness(client),
+      queues: [...guildQueues].map(([guildId, musicQueue]) => describeQueue(client, guildId, musicQueue))
+    });
+  }));
+
+  // Queue controls
+
+  addRoute('POST', '/dashboard/api/skip', authenticated(async (req, res) => {
+    const { guildId } = await readJsonBody(req);
+    const musicQueue = getGuildQueue(guildQueues, guildId);
+    if (!musicQueue.isPlaying) {
+      throw new HttpError(409, 'Nothing is currently playing!');
+    }
+
+    const skipped = musicQueue.getCurrentSong();
+    musicQueue.skip();
+    console.log(`⏭️ Dashboard skipped "${skipped.title}" in ${guildId}`);
+    sendJson(res, 200, { ok: true, skipped: describeSong(skipped) });
+  }));
+
+  addRoute('POST', '/dashboard/api/pause', authenticated(async (req, res) => {
+    const { guildId } = await readJsonBody(req);
+    const musicQueue = getGuildQueue(guildQueues, guildId);
+    if (!musicQueue.isPlaying) {
+      throw new HttpError(409, 'Nothing is currently playing!');
+    }
+
+    musicQueue.pause();
+    sendJson(res, 200, { ok: true });
+  }));
+
+  addRoute('POST', '/dashboard/api/resume', authenticated(async (req, res) => {
+    const { guildId } = await readJsonBody(req);
+    getGuildQueue(guildQueues, guildId).resume();
+    sendJson(res, 200, { ok: true });
+  }));
+
+  // position is 1-based, as on the page. url is the song the page showed there, so
+  // a queue that moved on since the last refresh doesn't lose the wrong song.
+  addRoute('POST', '/dashboard/api/remove', authenticated(async (req, res) => {
+    const body = await readJsonBody(req);
+    const musicQueue = getGuildQueue(guildQueues, body.guildId);
+    const position = requireInteger(body.position, 'position');
+    const queue = musicQueue.getQueue();
+
+    if (position > queue.length) {
+      throw new HttpError(409, queue.length === 0 ? 'The queue is empty!' : `Position must be between 1 and ${queue.length}.`);
+    }
+    if (body.url && queue[position - 1].url !== body.url) {
+      throw new HttpError(409, 'The queue has changed, refresh and try again');
+    }
+
+    const [removed] = musicQueue.removeSongs(position - 1);
+    console.log(`🗑️ Dashboard removed "${removed.title}" from the queue in ${body.guildId}`);
+    sendJson(res, 200, { ok: true, removed: describeSong(removed) });
+  }));
+
+  // Library
+
+  addRoute('GET', '/dashboard/api/songs', authenticated((req, res, url) => {
+    sendJson(res, 200, listUserSongRows(parseListOptions(url)));
+  }));
+
+  addRoute('POST', '/dashboard/api/songs/update', authenticated(async (req, res) => {
+    const body = await readJsonBody(req);
+    const id = requireInteger(body.id, 'id');
+    const title = String(body.songTitle ?? '').trim();
+    if (!title) {
+      throw new HttpError(400, 'songTitle cannot be empty');
+    }
+    const artist = String(body.songArtist ?? '').trim() || null;
+    const requestCount = requireInteger(body.requestCount, 'requestCount');
+
+    sendChangeResult(res, updateUserSongRow(id, title, artist, requestCount));
+  }));
+
+  addRoute('POST', '/dashboard/api/songs/delete', authenticated(async (req, res) => {
+    const body = await readJsonBody(req);
+    sendChangeResult(res, deleteUserSongRow(requireInteger(body.id, 'id')));
+  }));
+
+  addRoute('GET', '/dashboard/api/ratings', authenticated((req, res, url) => {
+    sendJson(res, 200, listSongRatingRows(parseListOptions(url)));
+  }));
+
+  addRoute('POST', '/dashboard/api/ratings/update', authenticated(async (req, res) => {
+    const body = await readJsonBody(req);
+    const id = requireInteger(body.id, 'id');
+    if (body.rating !== 1 && body.rating !== -1) {
+      throw new HttpError(400, 'rating must be 1 (👍) or -1 (👎)');
+    }
+
+    sendChangeResult(res, updateSongRatingRow(id, body.rating));
+  }));
+
+  addRoute('POST', '/dashboard/api/ratings/delete', authenticated(async (req, res) => {
+    const body = await readJsonBody(req);
+    sendChangeResult(res, deleteSongRatingRow(requireInteger(body.id, 'id')));
+  }));
+
+  console.log('✓ Dashboard enabled at /dashboard');
+}
@@ -3,6 +3,8 @@ import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { trackCacheHit, trackCacheMiss, trackDbWrite } from './metrics.js';
+import { runMigrations, UNSCOPED_GUILD_ID } from './migrations.js';
+import { getSetting } from './settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,12 +37,15 @@ async function initDatabase() {
     locateFile: (file) => join(__dirname, '..', 'node_modules', 'sql.js', 'dist', file)
   });
 
+  let loadedFromDisk = false;
+
   if (existsSync(dbPath)) {
     const buffer = readFileSync(dbPath);
     try {
       db = new SQL.Database(buffer);
       // Quick integrity check
       db.exec('SELECT count(*) FROM sqlite_master');
+      loadedFromDisk = true;
       console.log('✓ Loaded existing database');
     } catch (err) {
       console.error('⚠️ Database file is corrupted:', err.message);
@@ -61,57 +66,8 @@ async function initDatabase() {
     console.log('✓ Created new database');
   }
 
-  // Create tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS user_songs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      user_name TEXT NOT NULL,
-      song_url TEXT NOT NULL,
-      song_title TEXT NOT NULL,
-      song_artist TEXT,
-      request_count INTEGER DEFAULT 1,
-      last_requested DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(user_id, song_url)
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS listening_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      song_url TEXT NOT NULL,
-      song_title TEXT NOT NULL,
-      played_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS radio_talks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      audio_path TEXT NOT NULL,
-      category TEXT DEFAULT 'general',
-      duration INTEGER,
-      last_played DATETIME,
-      play_count INTEGER DEFAULT 0
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS song_ratings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      song_url TEXT NOT NULL,
-      song_title TEXT NOT NULL,
-      rating INTEGER NOT NULL,
-      rated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(user_id, song_url)
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_user_songs ON user_songs(user_id)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_listening_history ON listening_history(user_id, played_at)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_song_ratings ON song_ratings(user_id, song_url)`);
+  // Create or upgrade tables (throws if the file is newer than this build)
+  runMigrations(db, loadedFromDisk ? dbPath : null);
 
   // Initial save
   saveDatabaseImmediate();
@@ -178,6 +134,16 @@ export function shutdownDatabase() {
 
 await initDatabase();
 
+// Whether the database is loaded and answering queries, for the readiness check
+export function isDatabaseReady() {
+  try {
+    db.exec('SELECT 1');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 // --- Helper utilities for parameterized queries ---
 function runStmt(sql, params = []) {
   const stmt = db.prepare(sql);
@@ -203,26 +169,81 @@ function allRows(sql, params = []) {
   return rows;
 }
 
+// Guild settings (key/value, JSON-encoded)
+export function getGuildSetting(guildId, key, defaultValue = null) {
+  try {
+    const rows = allRows(
+      `SELECT setting_value FROM guild_settings WHERE guild_id = ? AND setting_key = ?`,
+      [guildId, key]
+    );
+    if (rows.length === 0) return defaultValue;
+    return JSON.parse(rows[0].setting_value);
+  } catch (error) {
+    console.error('Error getting guild setting:', error);
+    return defaultValue;
+  }
+}
+
+export function setGuildSetting(guildId, key, value) {
+  try {
+    runStmt(
+      `INSERT INTO guild_settings (guild_id, setting_key, setting_value, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(guild_id, setting_key) DO UPDATE SET setting_value = excluded.setting_value, updated_at = CURRENT_TIMESTAMP`,
+      [guildId, key, JSON.stringify(value)]
+    );
+
+    // Settings can change which rows library queries return
+    queryCache.clear();
+
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error setting guild setting:', error);
+    return false;
+  }
+}
+
+export function deleteGuildSetting(guildId, key) {
+  try {
+    runStmt(`DELETE FROM guild_settings WHERE guild_id = ? AND setting_key = ?`, [guildId, key]);
+    queryCache.clear();
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error deleting guild setting:', error);
+    return false;
+  }
+}
+
+// WHERE fragment limiting a query to one guild (plus unscoped legacy rows).
+// A null guildId, or a guild that shares libraries, matches every guild.
+function guildScope(guildId, column = 'guild_id') {
+  if (!guildId || getSetting(guildId, 'share_libraries')) {
+    return { clause: '1 = 1', params: [] };
+  }
+  return { clause: `${column} IN (?, ?)`, params: [guildId, UNSCOPED_GUILD_ID] };
+}
+
 // User song tracking functions
-export function trackUserSong(userId, userName, songUrl, songTitle, songArtist = null) {
+export function trackUserSong(guildId, userId, userName, songUrl, songTitle, songArtist = null) {
   try {
     // Check if exists
     const existing = allRows(
-      `SELECT id, request_count FROM user_songs WHERE user_id = ? AND song_url = ?`,
-      [userId, songUrl]
+      `SELECT id, request_count FROM user_songs WHERE guild_id = ? AND user_id = ? AND song_url = ?`,
+      [guildId, userId, songUrl]
     );
 
     if (existing.length > 0) {
       // Update existing
       runStmt(
-        `UPDATE user_songs SET request_count = request_count + 1, last_requested = CURRENT_TIMESTAMP, user_name = ? WHERE user_id = ? AND song_url = ?`,
-        [userName, userId, songUrl]
+        `UPDATE user_songs SET request_count = request_count + 1, last_requested = CURRENT_TIMESTAMP, user_name = ? WHERE guild_id = ? AND user_id = ? AND song_url = ?`,
+        [userName, guildId, userId, songUrl]
       );
     } else {
       // Insert new
       runStmt(
-        `INSERT INTO user_songs (user_id, user_name, song_url, song_title, song_artist, request_count) VALUES (?, ?, ?, ?, ?, 1)`,
-        [userId, userName, songUrl, songTitle, songArtist]
+        `INSERT INTO user_songs (guild_id, user_id, user_name, song_url, song_title, song_artist, request_count) VALUES (?, ?, ?, ?, ?, ?, 1)`,
+        [guildId, userId, userName, songUrl, songTitle, songArtist]
       );
     }
 
@@ -235,11 +256,25 @@ export function trackUserSong(userId, userName, songUrl, songTitle, songArtist =
   }
 }
 
-export function getUserSongs(userId, limit = 50) {
+// Pass a null guildId to list the user's songs from every guild
+export function getUserSongs(guildId, userId, limit = 50) {
   try {
+    const scope = guildScope(guildId);
     const rows = allRows(
-      `SELECT * FROM user_songs WHERE user_id = ? ORDER BY request_count DESC, last_requested DESC LIMIT ?`,
-      [userId, limit]
+      `SELECT
+        user_id,
+        MAX(user_name) as user_name,
+        song_url,
+        MAX(song_title) as song_title,
+        MAX(song_artist) as song_artist,
+        SUM(request_count) as request_count,
+        MAX(last_requested) as last_requested
+      FROM user_songs
+      WHERE user_id = ? AND ${scope.clause}
+      GROUP BY song_url
+      ORDER BY request_count DESC, last_requested DESC
+      LIMIT ?`,
+      [userId, ...scope.params, limit]
     );
 
     return rows;
@@ -249,12 +284,14 @@ export function getUserSongs(userId, limit = 50) {
   }
 }
 
-export function getMultipleUsersSongs(userIds, limit = 100) {
+export function getMultipleUsersSongs(guildId, userIds, limit = 100) {
   if (userIds.length === 0) return [];
 
   try {
-    // Create cache key from sorted user IDs and limit
-    const cacheKey = `multi_users:${[...userIds].sort().join(',')}:${limit}`;
+    const scope = guildScope(guildId);
+
+    // Create cache key from guild scope, sorted user IDs and limit
+    const cacheKey = `multi_users:${scope.params.join(',') || '*'}:${[...userIds].sort().join(',')}:${limit}`;
 
     // Check cache
     const cached = queryCache.get(cacheKey);
@@ -277,11 +314,11 @@ export function getMultipleUsersSongs(userIds, limit = 100) {
         COUNT(DISTINCT user_id) as user_count,
         MAX(last_requested) as last_requested
       FROM user_songs
-      WHERE user_id IN (${placeholders})
+      WHERE user_id IN (${placeholders}) AND ${scope.clause}
       GROUP BY song_url
       ORDER BY user_count DESC, total_requests DESC, last_requested DESC
       LIMIT ?`,
-      [...userIds, limit]
+      [...userIds, ...scope.params, limit]
     );
 
     // Cache the results
@@ -297,11 +334,68 @@ export function getMultipleUsersSongs(userIds, limit = 100) {
   }
 }
 
-export function recordListeningHistory(userId, songUrl, songTitle) {
+// Wrap user input as a LIKE substring pattern, escaping its wildcards with a backslash
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// /play autocomplete: songs a user requested or rated 👍 whose title or artist
+// contains text. favorite is 1 for 👍 songs, which come first
+export function findLibrarySongs(guildId, userId, text, limit = 10) {
+  try {
+    const scope = guildScope(guildId);
+    const pattern = likePattern(text);
+    return allRows(
+      `SELECT
+        song_url,
+        MAX(song_title) as song_title,
+        MAX(song_artist) as song_artist,
+        MAX(favorite) as favorite,
+        SUM(request_count) as request_count
+      FROM (
+        SELECT song_url, song_title, song_artist, 0 as favorite, request_count
+        FROM user_songs
+        WHERE user_id = ? AND ${scope.clause} AND (song_title LIKE ? ESCAPE '\\' OR song_artist LIKE ? ESCAPE '\\')
+        UNION ALL
+        SELECT song_url, song_title, NULL, 1, 0
+        FROM song_ratings
+        WHERE user_id = ? AND rating > 0 AND ${scope.clause} AND song_title LIKE ? ESCAPE '\\'
+      )
+      GROUP BY song_url
+      ORDER BY favorite DESC, request_count DESC
+      LIMIT ?`,
+      [userId, ...scope.params, pattern, pattern, userId, ...scope.params, pattern, limit]
+    );
+  } catch (error) {
+    console.error('Error finding library songs:', error);
+    return [];
+  }
+}
+
+// /play autocomplete: songs played in this guild lately whose title contains
+// text, newest first. Only the most recent plays are searched
+export function findRecentGuildSongs(guildId, text, limit = 10) {
+  try {
+    return allRows(
+      `SELECT song_url, MAX(song_title) as song_title, MAX(played_at) as last_played
+      FROM (SELECT * FROM listening_history WHERE guild_id = ? ORDER BY played_at DESC LIMIT 1000)
+      WHERE song_title LIKE ? ESCAPE '\\'
+      GROUP BY song_url
+      ORDER BY last_played DESC
+      LIMIT ?`,
+      [guildId, likePattern(text), limit]
+    );
+  } catch (error) {
+    console.error('Error finding recent guild songs:', error);
+    return [];
+  }
+}
+
+export function recordListeningHistory(guildId, userId, songUrl, songTitle) {
   try {
     runStmt(
-      `INSERT INTO listening_history (user_id, song_url, song_title) VALUES (?, ?, ?)`,
-      [userId, songUrl, songTitle]
+      `INSERT INTO listening_history (guild_id, user_id, song_url, song_title) VALUES (?, ?, ?, ?)`,
+      [guildId, userId, songUrl, songTitle]
     );
     saveDatabase();
   } catch (error) {
@@ -309,11 +403,13 @@ export function recordListeningHistory(userId, songUrl, songTitle) {
   }
 }
 
-export function getUserListeningHistory(userId, limit = 50) {
+// Pass a null guildId to list history from every guild
+export function getUserListeningHistory(guildId, userId, limit = 50) {
   try {
+    const scope = guildScope(guildId);
     const rows = allRows(
-      `SELECT * FROM listening_history WHERE user_id = ? ORDER BY played_at DESC LIMIT ?`,
-      [userId, limit]
+      `SELECT * FROM listening_history WHERE user_id = ? AND ${scope.clause} ORDER BY played_at DESC LIMIT ?`,
+      [userId, ...scope.params, limit]
     );
 
     return rows;
@@ -369,11 +465,16 @@ export function updateRadioTalkPlayCount(talkId) {
   }
 }
 
-export function getStats() {
+// Pass a null guildId for bot-wide totals
+export function getStats(guildId = null) {
   try {
-    const userCount = db.exec('SELECT COUNT(DISTINCT user_id) as count FROM user_songs');
-    const songCount = db.exec('SELECT COUNT(*) as count FROM user_songs');
-    const historyCount = db.exec('SELECT COUNT(*) as count FROM listening_history');
+    // Same scope as the library queries: legacy rows, and every guild when sharing
+    const scope = guildScope(guildId);
+    const where = `WHERE ${scope.clause}`;
+    const params = scope.params;
+    const userCount = db.exec(`SELECT COUNT(DISTINCT user_id) as count FROM user_songs ${where}`, params);
+    const songCount = db.exec(`SELECT COUNT(DISTINCT song_url) as count FROM user_songs ${where}`, params);
+    const historyCount = db.exec(`SELECT COUNT(*) as count FROM listening_history ${where}`, params);
 
     return {
       uniqueUsers: userCount[0]?.values[0]?.[0] || 0,
@@ -391,33 +492,33 @@ export function getStats() {
 }
 
 // Song rating functions
-export function rateSong(userId, songUrl, songTitle, rating, userName = 'Unknown') {
+export function rateSong(guildId, userId, songUrl, songTitle, rating, userName = 'Unknown') {
   try {
     // Check if exists
     const existing = allRows(
-      `SELECT id FROM song_ratings WHERE user_id = ? AND song_url = ?`,
-      [userId, songUrl]
+      `SELECT id FROM song_ratings WHERE guild_id = ? AND user_id = ? AND song_url = ?`,
+      [guildId, userId, songUrl]
     );
 
     if (existing.length > 0) {
       // Update existing rating
       runStmt(
-        `UPDATE song_ratings SET rating = ?, rated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND song_url = ?`,
-        [rating, userId, songUrl]
+        `UPDATE song_ratings SET rating = ?, rated_at = CURRENT_TIMESTAMP WHERE guild_id = ? AND user_id = ? AND song_url = ?`,
+        [rating, guildId, userId, songUrl]
       );
     } else {
       // Insert new rating
       runStmt(
-        `INSERT INTO song_ratings (user_id, song_url, song_title, rating) VALUES (?, ?, ?, ?)`,
-        [userId, songUrl, songTitle, rating]
+        `INSERT INTO song_ratings (guild_id, user_id, song_url, song_title, rating) VALUES (?, ?, ?, ?, ?)`,
+        [guildId, userId, songUrl, songTitle, rating]
       );
     }
 
     // If thumbs up (rating = 1), also track it as a user song for radio
     if (rating === 1) {
       const existingSong = allRows(
-        `SELECT id FROM user_songs WHERE user_id = ? AND song_url = ?`,
-        [userId, songUrl]
+        `SELECT id FROM user_songs WHERE guild_id = ? AND user_id = ? AND song_url = ?`,
+        [guildId, userId, songUrl]
       );
 
       if (existingSong.length === 0) {
@@ -431,12 +532,15 @@ export function rateSong(userId, songUrl, songTitle, rating, userName = 'Unknown
         const finalUserName = existingUserName.length > 0 ? existingUserName[0].user_name : userName;
 
         runStmt(
-          `INSERT INTO user_songs (user_id, user_name, song_url, song_title, song_artist, request_count) VALUES (?, ?, ?, ?, NULL, 1)`,
-          [userId, finalUserName, songUrl, songTitle]
+          `INSERT INTO user_songs (guild_id, user_id, user_name, song_url, song_title, song_artist, request_count) VALUES (?, ?, ?, ?, ?, NULL, 1)`,
+          [guildId, userId, finalUserName, songUrl, songTitle]
         );
       }
     }
 
+    // Ratings change radio weighting (and 👍 may add to user_songs)
+    queryCache.clear();
+
     saveDatabase();
     return true;
   } catch (error) {
@@ -445,11 +549,12 @@ export function rateSong(userId, songUrl, songTitle, rating, userName = 'Unknown
   }
 }
 
-export function getSongRating(userId, songUrl) {
+export function getSongRating(guildId, userId, songUrl) {
   try {
+    const scope = guildScope(guildId);
     const rows = allRows(
-      `SELECT rating FROM song_ratings WHERE user_id = ? AND song_url = ?`,
-      [userId, songUrl]
+      `SELECT rating FROM song_ratings WHERE user_id = ? AND song_url = ? AND ${scope.clause} ORDER BY rated_at DESC LIMIT 1`,
+      [userId, songUrl, ...scope.params]
     );
     return rows[0]?.rating ?? null;
   } catch (error) {
@@ -458,19 +563,53 @@ export function getSongRating(userId, songUrl) {
   }
 }
 
-export function getUserRatings(userId, ratingFilter = null) {
+// Aggregate 👍/👎 counts per song for a group of listeners (used by radio weighting)
+export function getAudienceRatings(guildId, userIds) {
+  if (userIds.length === 0) return [];
+
+  try {
+    const scope = guildScope(guildId);
+    const placeholders = userIds.map(() => '?').join(',');
+    // A listener can have a rating per guild plus a legacy unscoped one; only
+    // their latest rating of each song counts
+    const rows = allRows(
+      `SELECT
+        song_url,
+        SUM(CASE WHEN rating > 0 THEN 1 ELSE 0 END) as likes,
+        SUM(CASE WHEN rating < 0 THEN 1 ELSE 0 END) as dislikes
+      FROM (
+        SELECT song_url, rating,
+          ROW_NUMBER() OVER (PARTITION BY user_id, song_url ORDER BY rated_at DESC, id DESC) as rank
+        FROM song_ratings
+        WHERE user_id IN (${placeholders}) AND ${scope.clause}
+      )
+      WHERE rank = 1
+      GROUP BY song_url`,
+      [...userIds, ...scope.params]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Error getting audience ratings:', error);
+    return [];
+  }
+}
+
+// Pass a null guildId to list ratings from every guild
+export function getUserRatings(guildId, userId, ratingFilter = null) {
   try {
+    const scope = guildScope(guildId);
+
     if (ratingFilter !== null) {
       const rows = allRows(
-        `SELECT * FROM song_ratings WHERE user_id = ? AND rating = ? ORDER BY rated_at DESC`,
-        [userId, ratingFilter]
+        `SELECT * FROM song_ratings WHERE user_id = ? AND rating = ? AND ${scope.clause} ORDER BY rated_at DESC`,
+        [userId, ratingFilter, ...scope.params]
       );
       return rows;
     }
 
     const rows = allRows(
-      `SELECT * FROM song_ratings WHERE user_id = ? ORDER BY rated_at DESC`,
-      [userId]
+      `SELECT * FROM song_ratings WHERE user_id = ? AND ${scope.clause} ORDER BY rated_at DESC`,
+      [userId, ...scope.params]
     );
     return rows;
   } catch (error) {
@@ -479,4 +618,405 @@ export function getUserRatings(userId, ratingFilter = null) {
   }
 }
 
+// Saved playlist functions
+// scope is 'user' (owner_id = user ID) or 'guild' (owner_id = guild ID)
+export function getPlaylist(scope, ownerId, name) {
+  try {
+    const rows = allRows(
+      `SELECT p.*, (SELECT COUNT(*) FROM playlist_tracks t WHERE t.playlist_id = p.id) as track_count
+      FROM playlists p WHERE p.scope = ? AND p.owner_id = ? AND p.name = ?`,
+      [scope, ownerId, name]
+    );
+    return rows[0] ?? null;
+  } catch (error) {
+    console.error('Error getting playlist:', error);
+    return null;
+  }
+}
+
+export function getPlaylistById(playlistId) {
+  try {
+    const rows = allRows(
+      `SELECT p.*, (SELECT COUNT(*) FROM playlist_tracks t WHERE t.playlist_id = p.id) as track_count
+      FROM playlists p WHERE p.id = ?`,
+      [playlistId]
+    );
+    return rows[0] ?? null;
+  } catch (error) {
+    console.error('Error getting playlist:', error);
+    return null;
+  }
+}
+
+export function listPlaylists(scope, ownerId) {
+  try {
+    const rows = allRows(
+      `SELECT p.*, (SELECT COUNT(*) FROM playlist_tracks t WHERE t.playlist_id = p.id) as track_count
+      FROM playlists p WHERE p.scope = ? AND p.owner_id = ? ORDER BY p.name`,
+      [scope, ownerId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Error listing playlists:', error);
+    return [];
+  }
+}
+
+export function getPlaylistTracks(playlistId) {
+  try {
+    const rows = allRows(
+      `SELECT * FROM playlist_tracks WHERE playlist_id = ? ORDER BY position`,
+      [playlistId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Error getting playlist tracks:', error);
+    return [];
+  }
+}
+
+function insertPlaylistTracks(playlistId, songs, addedBy, startPosition = 1) {
+  songs.forEach((song, index) => {
+    runStmt(
+      `INSERT INTO playlist_tracks (playlist_id, position, song_url, song_title, song_artist, duration, thumbnail, added_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [playlistId, startPosition + index, song.url, song.title, song.artist || null, song.duration || null, song.thumbnail || null, addedBy]
+    );
+  });
+}
+
+// Create a playlist from song objects, or replace the tracks of an existing one
+// when overwrite is set. Returns the playlist ID, or null on failure.
+export function savePlaylist(scope, ownerId, name, createdBy, songs, overwrite = false) {
+  try {
+    const existing = getPlaylist(scope, ownerId, name);
+    if (existing && !overwrite) return null;
+
+    let playlistId;
+    if (existing) {
+      playlistId = existing.id;
+      runStmt(`DELETE FROM playlist_tracks WHERE playlist_id = ?`, [playlistId]);
+      runStmt(`UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [playlistId]);
+    } else {
+      runStmt(
+        `INSERT INTO playlists (scope, owner_id, name, created_by) VALUES (?, ?, ?, ?)`,
+        [scope, ownerId, name, createdBy]
+      );
+      const idRes = db.exec('SELECT last_insert_rowid() AS id');
+      playlistId = idRes[0]?.values?.[0]?.[0];
+    }
+
+    insertPlaylistTracks(playlistId, songs, createdBy);
+    saveDatabase();
+    return playlistId;
+  } catch (error) {
+    console.error('Error saving playlist:', error);
+    return null;
+  }
+}
+
+export function addPlaylistTrack(playlistId, song, addedBy) {
+  try {
+    const maxRes = db.exec('SELECT COALESCE(MAX(position), 0) FROM playlist_tracks WHERE playlist_id = ?', [playlistId]);
+    const nextPosition = (maxRes[0]?.values[0]?.[0] || 0) + 1;
+
+    insertPlaylistTracks(playlistId, [song], addedBy, nextPosition);
+    runStmt(`UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [playlistId]);
+    saveDatabase();
+    return nextPosition;
+  } catch (error) {
+    console.error('Error adding playlist track:', error);
+    return null;
+  }
+}
+
+// Remove the track at a 1-based position and close the gap. Returns the removed track.
+export function removePlaylistTrack(playlistId, position) {
+  try {
+    const rows = allRows(
+      `SELECT * FROM playlist_tracks WHERE playlist_id = ? AND position = ?`,
+      [playlistId, position]
+    );
+    if (rows.length === 0) return null;
+
+    runStmt(`DELETE FROM playlist_tracks WHERE id = ?`, [rows[0].id]);
+    runStmt(
+      `UPDATE playlist_tracks SET position = position - 1 WHERE playlist_id = ? AND position > ?`,
+      [playlistId, position]
+    );
+    runStmt(`UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [playlistId]);
+    saveDatabase();
+    return rows[0];
+  } catch (error) {
+    console.error('Error removing playlist track:', error);
+    return null;
+  }
+}
+
+export function renamePlaylist(playlistId, newName) {
+  try {
+    runStmt(
+      `UPDATE playlists SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [newName, playlistId]
+    );
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error renaming playlist:', error);
+    return false;
+  }
+}
+
+export function deletePlaylist(playlistId) {
+  try {
+    runStmt(`DELETE FROM playlist_tracks WHERE playlist_id = ?`, [playlistId]);
+    runStmt(`DELETE FROM playlists WHERE id = ?`, [playlistId]);
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    return false;
+  }
+}
+
+// Track loudness functions (EBU R128 measurements, shared by every guild)
+export function getTrackLoudness(songUrl) {
+  try {
+    const rows = allRows(`SELECT * FROM track_loudness WHERE song_url = ?`, [songUrl]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Error getting track loudness:', error);
+    return null;
+  }
+}
+
+export function saveTrackLoudness(songUrl, integratedLufs, truePeak, gainDb) {
+  try {
+    runStmt(
+      `INSERT INTO track_loudness (song_url, integrated_lufs, true_peak, gain_db, measured_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(song_url) DO UPDATE SET integrated_lufs = excluded.integrated_lufs, true_peak = excluded.true_peak,
+         gain_db = excluded.gain_db, measured_at = CURRENT_TIMESTAMP`,
+      [songUrl, integratedLufs, truePeak, gainDb]
+    );
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error saving track loudness:', error);
+    return false;
+  }
+}
+
+// Queue snapshots (restored on startup)
+// saveNow = false only marks the database dirty, leaving the write to the periodic
+// save - used for the frequent playback position updates.
+export function saveQueueSnapshot(guildId, voiceChannelId, textChannelId, state, saveNow = true) {
+  try {
+    runStmt(
+      `INSERT INTO queue_snapshots (guild_id, voice_channel_id, text_channel_id, state, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(guild_id) DO UPDATE SET voice_channel_id = excluded.voice_channel_id, text_channel_id = excluded.text_channel_id,
+         state = excluded.state, updated_at = CURRENT_TIMESTAMP`,
+      [guildId, voiceChannelId, textChannelId, JSON.stringify(state)]
+    );
+
+    if (saveNow) {
+      saveDatabase();
+    } else {
+      isDirty = true;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error saving queue snapshot:', error);
+    return false;
+  }
+}
+
+export function getQueueSnapshots() {
+  try {
+    const rows = allRows(`SELECT * FROM queue_snapshots`);
+    return rows.map(row => ({
+      guildId: row.guild_id,
+      voiceChannelId: row.voice_channel_id,
+      textChannelId: row.text_channel_id,
+      state: JSON.parse(row.state),
+      updatedAt: row.updated_at
+    }));
+  } catch (error) {
+    console.error('Error getting queue snapshots:', error);
+    return [];
+  }
+}
+
+export function deleteQueueSnapshot(guildId) {
+  try {
+    runStmt(`DELETE FROM queue_snapshots WHERE guild_id = ?`, [guildId]);
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error deleting queue snapshot:', error);
+    return false;
+  }
+}
+
+// Control API keys (stored as SHA-256 hashes, see controlApi.js)
+export function createApiKey(guildId, name, keyHash, createdBy) {
+  try {
+    runStmt(
+      `INSERT INTO api_keys (guild_id, name, key_hash, created_by) VALUES (?, ?, ?, ?)`,
+      [guildId, name, keyHash, createdBy]
+    );
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return false;
+  }
+}
+
+export function getApiKeyByHash(keyHash) {
+  try {
+    const rows = allRows(`SELECT * FROM api_keys WHERE key_hash = ?`, [keyHash]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Error getting API key:', error);
+    return null;
+  }
+}
+
+export function getApiKey(guildId, name) {
+  try {
+    const rows = allRows(`SELECT * FROM api_keys WHERE guild_id = ? AND name = ? COLLATE NOCASE`, [guildId, name]);
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Error getting API key:', error);
+    return null;
+  }
+}
+
+export function listApiKeys(guildId) {
+  try {
+    return allRows(
+      `SELECT id, name, created_by, created_at, last_used_at FROM api_keys WHERE guild_id = ? ORDER BY name COLLATE NOCASE`,
+      [guildId]
+    );
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return [];
+  }
+}
+
+// Only marks the database dirty - this runs on every API request
+export function touchApiKey(id) {
+  try {
+    runStmt(`UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    isDirty = true;
+  } catch (error) {
+    console.error('Error updating API key usage:', error);
+  }
+}
+
+export function deleteApiKey(id) {
+  try {
+    runStmt(`DELETE FROM api_keys WHERE id = ?`, [id]);
+    saveDatabase();
+    return true;
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    return false;
+  }
+}
+
+// Library browsing and editing for the dashboard. These work on raw rows by ID,
+// without guild scoping or library sharing; a null guildId lists every guild.
+const LIBRARY_TABLES = {
+  user_songs: { searchColumns: ['song_title', 'song_artist', 'song_url', 'user_name', 'user_id'], orderBy: 'last_requested DESC' },
+  song_ratings: { searchColumns: ['song_title', 'song_url', 'user_id'], orderBy: 'rated_at DESC' }
+};
+
+function listLibraryRows(table, { guildId = null, search = '', limit = 50, offset = 0 } = {}) {
+  const { searchColumns, orderBy } = LIBRARY_TABLES[table];
+  const conditions = [];
+  const params = [];
+
+  if (guildId) {
+    conditions.push('guild_id = ?');
+    params.push(guildId);
+  }
+  if (search) {
+    conditions.push(`(${searchColumns.map(column => `${column} LIKE ?`).join(' OR ')})`);
+    params.push(...searchColumns.map(() => `%${search}%`));
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const total = allRows(`SELECT COUNT(*) as count FROM ${table} ${where}`, params)[0].count;
+  const rows = allRows(`SELECT * FROM ${table} ${where} ORDER BY ${orderBy}, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  return { rows, total };
+}
+
+// Run an UPDATE or DELETE on one row. Returns false if the row doesn't exist.
+function changeLibraryRow(sql, params) {
+  runStmt(sql, params);
+  if (db.getRowsModified() === 0) return false;
+
+  // Library and ratings feed the radio weighting
+  queryCache.clear();
+  saveDatabase();
+  return true;
+}
+
+export function listUserSongRows(options) {
+  try {
+    return listLibraryRows('user_songs', options);
+  } catch (error) {
+    console.error('Error listing user songs:', error);
+    return { rows: [], total: 0 };
+  }
+}
+
+export function updateUserSongRow(id, songTitle, songArtist, requestCount) {
+  try {
+    return changeLibraryRow(
+      `UPDATE user_songs SET song_title = ?, song_artist = ?, request_count = ? WHERE id = ?`,
+      [songTitle, songArtist, requestCount, id]
+    );
+  } catch (error) {
+    console.error('Error updating user song:', error);
+    return false;
+  }
+}
+
+export function deleteUserSongRow(id) {
+  try {
+    return changeLibraryRow(`DELETE FROM user_songs WHERE id = ?`, [id]);
+  } catch (error) {
+    console.error('Error deleting user song:', error);
+    return false;
+  }
+}
+
+export function listSongRatingRows(options) {
+  try {
+    return listLibraryRows('song_ratings', options);
+  } catch (error) {
+    console.error('Error listing song ratings:', error);
+    return { rows: [], total: 0 };
+  }
+}
+
+export function updateSongRatingRow(id, rating) {
+  try {
+    return changeLibraryRow(`UPDATE song_ratings SET rating = ? WHERE id = ?`, [rating, id]);
+  } catch (error) {
+    console.error('Error updating song rating:', error);
+    return false;
+  }
+}
+
+export function deleteSongRatingRow(id) {
+  try {
+    return changeLibraryRow(`DELETE FROM song_ratings WHERE id = ?`, [id]);
+  } catch (error) {
+    console.error('Error deleting song rating:', error);
+    return false;
+  }
+}
+
 export default db;
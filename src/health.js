@@ -0,0 +1,67 @@
+// Health and readiness endpoints
+//
+// /healthz only says the process is up and serving requests. /readyz checks what
+// the bot needs to actually play music: a live Discord gateway, the database, the
+// yt-dlp and ffmpeg binaries, and an event loop that isn't stalling.
+
+import { existsSync } from 'fs';
+import { delimiter, isAbsolute, join } from 'path';
+import { Status } from 'discord.js';
+import { addRoute, sendJson } from './httpServer.js';
+import { isDatabaseReady } from './database.js';
+import { YTDLP_PATH, FFMPEG_PATH } from './audioPipeline.js';
+
+const EVENT_LOOP_CHECK_INTERVAL = 1000;
+const MAX_EVENT_LOOP_LAG_MS = 2000; // A tick this late means something is blocking the loop
+
+let lastTickAt = Date.now();
+let eventLoopLag = 0; // How late the most recent tick ran, in ms
+
+function monitorEventLoop() {
+  setInterval(() => {
+    const now = Date.now();
+    eventLoopLag = Math.max(0, now - lastTickAt - EVENT_LOOP_CHECK_INTERVAL);
+    lastTickAt = now;
+  }, EVENT_LOOP_CHECK_INTERVAL).unref();
+}
+
+// A bare command name (the system ffmpeg) is looked up on PATH
+function binaryExists(path) {
+  if (isAbsolute(path)) return existsSync(path);
+  return (process.env.PATH || '').split(delimiter).some(dir => dir && existsSync(join(dir, path)));
+}
+
+export function getReadiness(client) {
+  const shards = [...client.ws.shards.values()];
+  const checks = {
+    discord: client.isReady() && shards.length > 0 && shards.every(shard => shard.status === Status.Ready),
+    database: isDatabaseReady(),
+    ytdlp: binaryExists(YTDLP_PATH),
+    ffmpeg: binaryExists(FFMPEG_PATH),
+    eventLoop: eventLoopLag <= MAX_EVENT_LOOP_LAG_MS && Date.now() - lastTickAt <= EVENT_LOOP_CHECK_INTERVAL + MAX_EVENT_LOOP_LAG_MS
+  };
+
+  return {
+    ready: Object.values(checks).every(Boolean),
+    checks,
+    details: {
+      gatewayPing: client.ws.ping,
+      eventLoopLagMs: eventLoopLag,
+      lastTickMsAgo: Date.now() - lastTickAt,
+      guilds: client.guilds.cache.size
+    }
+  };
+}
+
+export function registerHealthRoutes(client) {
+  monitorEventLoop();
+
+  addRoute('GET', '/healthz', (req, res) => {
+    sendJson(res, 200, { status: 'ok', uptime: Math.floor(process.uptime()) });
+  });
+
+  addRoute('GET', '/readyz', (req, res) => {
+    const readiness = getReadiness(client);
+    sendJson(res, readiness.ready ? 200 : 503, { status: readiness.ready ? 'ready' : 'not ready', ...readiness });
+  });
+}
@@ -0,0 +1,156 @@
+// Local HTTP server
+//
+// One small node:http server for everything the bot exposes over HTTP (health
+// checks for Docker, Prometheus metrics, the dashboard, the control API). Modules
+// add routes with addRoute() before the server starts. It listens on 127.0.0.1
+// unless HTTP_HOST says otherwise.
+
+import { createServer } from 'http';
+
+export const HTTP_PORT = parseInt(process.env.HTTP_PORT || '8080', 10);
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+const routes = []; // { method, segments, handler }
+const upgradeRoutes = new Map(); // path -> handler, for WebSocket upgrades
+
+// Register a handler for a path. Segments starting with ':' match any value and
+// are passed to handler(req, res, url, params) by name. Handlers may be async.
+export function addRoute(method, path, handler) {
+  routes.push({ method, segments: path.split('/'), handler });
+}
+
+// Handle WebSocket upgrade requests for an exact path.
+// handler(req, socket, head, url) may be async; throw HttpError to refuse.
+export function addUpgradeRoute(path, handler) {
+  upgradeRoutes.set(path, handler);
+}
+
+// Route parameters if the route matches the path, null otherwise
+function matchRoute(route, segments) {
+  if (route.segments.length !== segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const expected = route.segments[i];
+    if (expected.startsWith(':') && segments[i]) {
+      try {
+        params[expected.slice(1)] = decodeURIComponent(segments[i]);
+      } catch {
+        return null; // Malformed escape
+      }
+    } else if (expected !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// Error whose message is safe to send back, with the status to send it with
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Parse a JSON request body, {} when there is none
+export async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+  }
+
+  if (!body) return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const segments = url.pathname.split('/');
+  const matching = routes
+    .map(route => ({ route, params: matchRoute(route, segments) }))
+    .filter(match => match.params);
+
+  if (matching.length === 0) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const match = matching.find(m => m.route.method === req.method) ||
+    (req.method === 'HEAD' && matching.find(m => m.route.method === 'GET'));
+  if (!match) {
+    res.setHeader('Allow', [...new Set(matching.map(m => m.route.method))].join(', '));
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  try {
+    await match.route.handler(req, res, url, match.params);
+  } catch (error) {
+    if (error instanceof HttpError && !res.headersSent) {
+      return sendJson(res, error.status, { error: error.message });
+    }
+
+    console.error(`HTTP ${req.method} ${url.pathname} failed:`, error);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+}
+
+async function handleUpgrade(req, socket, head) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const handler = upgradeRoutes.get(url.pathname);
+
+  // Nothing to upgrade to, so answer with a plain HTTP response and hang up
+  const refuse = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  };
+
+  if (!handler) {
+    return refuse(404, 'Not Found');
+  }
+
+  try {
+    await handler(req, socket, head, url);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return refuse(error.status, error.message);
+    }
+    console.error(`HTTP upgrade ${url.pathname} failed:`, error);
+    refuse(500, 'Internal Server Error');
+  }
+}
+
+export function startHttpServer() {
+  const server = createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    handleUpgrade(req, socket, head);
+  });
+
+  server.on('error', error => {
+    console.error(`HTTP server error on ${HTTP_HOST}:${HTTP_PORT}:`, error.message);
+  });
+
+  server.listen(HTTP_PORT, HTTP_HOST, () => {
+    console.log(`✓ HTTP server listening on http://${HTTP_HOST}:${HTTP_PORT}`);
+  });
+
+  return server;
+}
@@ -1,11 +1,21 @@
-import { Client, GatewayIntentBits, Events, REST, Routes, MessageFlags } from 'discord.js';
+import { Client, GatewayIntentBits, Events, REST, Routes, MessageFlags, RESTJSONErrorCodes } from 'discord.js';
 import { config } from 'dotenv';
 import play from 'play-dl';
 import { MusicQueue } from './musicQueue.js';
-import { commands, allCommands, handleCommand } from './commands.js';
+import { commands, allCommands, handleCommand, handleAutocomplete, handlePlaylistPageButton, describeLoopMode, describeSkipVote } from './commands.js';
 import { resolveDMContext, updateUserGuildTracking } from './dmContext.js';
 import { handleContextMenuCommand, handleModalSubmit } from './contextMenuHandlers.js';
-import { shutdownDatabase } from './database.js';
+import { registerShutdownHandlers } from './shutdown.js';
+import { startHttpServer } from './httpServer.js';
+import { registerHealthRoutes } from './health.js';
+import { registerMetricsRoute } from './metrics.js';
+import { registerDashboardRoutes } from './dashboard.js';
+import { registerControlApiRoutes } from './controlApi.js';
+import { registerNowPlayingFeed } from './nowPlayingFeed.js';
+import { getQueueSnapshots, deleteQueueSnapshot } from './database.js';
+import { getSetting } from './settings.js';
+import { getCommandDenial, canForceSkip } from './permissions.js';
+import { createErrorEmbed } from './radioEmbeds.js';
 
 config();
 
@@ -33,6 +43,28 @@ const client = new Client({
 
 const guildQueues = new Map();
 
+function getMusicQueue(guildId) {
+  if (!guildQueues.has(guildId)) {
+    guildQueues.set(guildId, new MusicQueue(guildId));
+  }
+  return guildQueues.get(guildId);
+}
+
+// Percentage points per press of the volume buttons
+const VOLUME_BUTTON_STEP = 10;
+
+// The slash command each now-playing button stands in for, for DJ only checks
+const BUTTON_COMMANDS = {
+  pause: 'pause',
+  skip: 'skip',
+  previous: 'replay',
+  loop: 'loop',
+  queue: 'queue',
+  volume_down: 'volume',
+  volume_up: 'volume',
+  radio: 'radio'
+};
+
 // Track last active guild per user for DM support
 const userLastGuild = new Map(); // Map<userId, guildId>
 
@@ -67,9 +99,72 @@ client.once(Events.ClientReady, async () => {
   } catch (error) {
     console.error('Error registering commands:', error);
   }
+
+  await restoreQueues();
 });
 
+// Rejoin voice channels and restore the queues saved before the last shutdown
+async function restoreQueues() {
+  const snapshots = getQueueSnapshots();
+  if (snapshots.length === 0) return;
+
+  console.log(`Restoring ${snapshots.length} saved queue(s)...`);
+  await Promise.all(snapshots.map(restoreQueue));
+}
+
+// Errors meaning the saved queue can never be restored. Anything else, like a
+// network hiccup or rate limit right after startup, keeps it for the next start.
+const PERMANENT_RESTORE_ERRORS = new Set([
+  RESTJSONErrorCodes.UnknownGuild,
+  RESTJSONErrorCodes.UnknownChannel,
+  RESTJSONErrorCodes.MissingAccess
+]);
+
+async function restoreQueue({ guildId, voiceChannelId, textChannelId, state }) {
+  try {
+    if (!getSetting(guildId, 'restore_queue')) {
+      deleteQueueSnapshot(guildId);
+      return;
+    }
+
+    const guild = await client.guilds.fetch(guildId);
+    const voiceChannel = await guild.channels.fetch(voiceChannelId);
+    const textChannel = textChannelId ? await guild.channels.fetch(textChannelId).catch(() => null) : null;
+
+    // Don't rejoin a channel nobody is listening in
+    if (!voiceChannel?.members.some(member => !member.user.bot)) {
+      console.log(`Not restoring queue for ${guild.name}: nobody is in the voice channel`);
+      deleteQueueSnapshot(guildId);
+      return;
+    }
+
+    const restored = await getMusicQueue(guildId).restoreSnapshot(state, voiceChannel, textChannel);
+    if (!restored) {
+      deleteQueueSnapshot(guildId);
+    }
+  } catch (error) {
+    if (PERMANENT_RESTORE_ERRORS.has(error.code)) {
+      console.error(`Could not restore queue for guild ${guildId}, discarding it:`, error.message);
+      deleteQueueSnapshot(guildId);
+    } else {
+      console.error(`Could not restore queue for guild ${guildId}, keeping it for the next start:`, error.message);
+    }
+  }
+}
+
 client.on(Events.InteractionCreate, async interaction => {
+  // Autocomplete fires on every keystroke and must answer within 3 seconds, so it
+  // skips logging and DM context resolution (which would reply with errors)
+  if (interaction.isAutocomplete()) {
+    const guildId = interaction.guildId || userLastGuild.get(interaction.user.id);
+    try {
+      await handleAutocomplete(interaction, guildQueues.get(guildId), guildId);
+    } catch (error) {
+      console.error('Autocomplete error:', error.message);
+    }
+    return;
+  }
+
   console.log(`Received interaction: ${interaction.commandName || interaction.customId}`);
 
   // Resolve context (works for both guild and DM)
@@ -86,12 +181,7 @@ client.on(Events.InteractionCreate, async interaction => {
   }
 
   const guildId = context.guildId;
-
-  if (!guildQueues.has(guildId)) {
-    guildQueues.set(guildId, new MusicQueue());
-  }
-
-  const musicQueue = guildQueues.get(guildId);
+  const musicQueue = getMusicQueue(guildId);
 
   // Handle slash commands
   if (interaction.isChatInputCommand()) {
@@ -102,6 +192,18 @@ client.on(Events.InteractionCreate, async interaction => {
   // Handle button interactions
   if (interaction.isButton()) {
     try {
+      // Paginated /playlist list replies
+      if (interaction.customId.startsWith('playlist_page:')) {
+        await handlePlaylistPageButton(interaction);
+        return;
+      }
+
+      const denial = getCommandDenial(context.member, BUTTON_COMMANDS[interaction.customId], musicQueue);
+      if (denial) {
+        await interaction.reply({ embeds: [createErrorEmbed(denial)], flags: MessageFlags.Ephemeral });
+        return;
+      }
+
       switch (interaction.customId) {
         case 'pause':
           if (musicQueue.isPlaying) {
@@ -115,19 +217,50 @@ client.on(Events.InteractionCreate, async interaction => {
 
         case 'skip':
           if (musicQueue.isPlaying) {
-            musicQueue.skip();
-            await interaction.reply({ content: '⏭️ Skipped', flags: MessageFlags.Ephemeral });
+            const song = musicQueue.getCurrentSong();
+            const [, skipDescription] = describeSkipVote(musicQueue.voteSkip(context.member), song);
+            await interaction.reply({ content: skipDescription, flags: MessageFlags.Ephemeral });
           } else {
             await interaction.reply({ content: 'Nothing is playing!', flags: MessageFlags.Ephemeral });
           }
           break;
 
+        case 'previous':
+          // Going back ends the current song, so anyone who couldn't skip it only adds a skip vote
+          const playingSong = musicQueue.getCurrentSong();
+          if (musicQueue.isPlaying && playingSong && !canForceSkip(context.member, playingSong)) {
+            const [, voteDescription] = describeSkipVote(musicQueue.voteSkip(context.member), playingSong);
+            await interaction.reply({ content: voteDescription, flags: MessageFlags.Ephemeral });
+            break;
+          }
+
+          const previousSong = musicQueue.previous();
+          if (previousSong) {
+            await interaction.reply({ content: `⏮️ Going back to **${previousSong.title}**`, flags: MessageFlags.Ephemeral });
+          } else {
+            await interaction.reply({ content: 'No previous song this session!', flags: MessageFlags.Ephemeral });
+          }
+          break;
+
+        case 'loop':
+          const loopMode = musicQueue.cycleLoopMode();
+          const [loopTitle] = describeLoopMode(loopMode);
+          await interaction.reply({ content: loopTitle, flags: MessageFlags.Ephemeral });
+          break;
+
         case 'queue':
           const { createQueueEmbed } = await import('./radioEmbeds.js');
           const embed = createQueueEmbed(musicQueue.getQueue(), musicQueue.getCurrentSong());
           await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
           break;
 
+        case 'volume_down':
+        case 'volume_up':
+          const step = interaction.customId === 'volume_up' ? VOLUME_BUTTON_STEP : -VOLUME_BUTTON_STEP;
+          const volume = musicQueue.setVolume(musicQueue.getVolumePercent() + step);
+          await interaction.reply({ content: `${volume === 0 ? '🔇' : '🔊'} Volume: ${volume}%`, flags: MessageFlags.Ephemeral });
+          break;
+
         case 'radio':
           const newRadioState = !musicQueue.radioMode;
           const voiceChannel = context.voiceChannel;
@@ -224,37 +357,33 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
   if (oldState.channelId === musicQueue.voiceChannel.id ||
       newState.channelId === musicQueue.voiceChannel.id) {
     musicQueue.updateActiveUsers();
+    musicQueue.checkSkipVotes();
 
     const nonBotMembers = musicQueue.voiceChannel.members.filter(m => !m.user.bot);
 
     if (nonBotMembers.size === 0 && musicQueue.connection) {
-      console.log('Everyone left the voice channel, disconnecting in 60 seconds...');
+      console.log(`Everyone left the voice channel, disconnecting in ${musicQueue.emptyChannelTimeout / 1000} seconds...`);
       setTimeout(async () => {
         const currentMembers = musicQueue.voiceChannel?.members?.filter(m => !m.user.bot);
         if (!currentMembers || currentMembers.size === 0) {
           console.log('Still empty, disconnecting and cleaning up...');
           await musicQueue.disconnect();
         }
-      }, 60000);
+      }, musicQueue.emptyChannelTimeout);
     }
   }
 });
 
-process.on('SIGINT', async () => {
-  console.log('Shutting down...');
-
-  // Clean up all guild queues
-  for (const [guildId, queue] of guildQueues) {
-    console.log(`Cleaning up guild ${guildId}...`);
-    await queue.disconnect();
-  }
-
-  // Shutdown database (final save)
-  shutdownDatabase();
+registerShutdownHandlers(client, guildQueues);
 
-  client.destroy();
-  process.exit(0);
-});
+// Health checks for Docker, Prometheus metrics, the dashboard, the control API and
+// the now-playing feed on the local HTTP server
+registerHealthRoutes(client);
+registerMetricsRoute(guildQueues);
+registerDashboardRoutes(client, guildQueues);
+registerControlApiRoutes(client, getMusicQueue);
+registerNowPlayingFeed(client, getMusicQueue);
+startHttpServer();
 
 // Basic env validation
 if (!process.env.DISCORD_TOKEN || !process.env.CLIENT_ID) {
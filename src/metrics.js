@@ -1,5 +1,12 @@
 // Performance metrics tracking module
 
+import { addRoute } from './httpServer.js';
+
+// Upper bounds (seconds) of the song load time histogram buckets
+const SONG_LOAD_TIME_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+
+const METRIC_PREFIX = 'echosanvil_';
+
 class Metrics {
   constructor() {
     this.startTime = Date.now();
@@ -10,9 +17,12 @@ class Metrics {
     this.cacheHits = 0;
     this.cacheMisses = 0;
     this.dbWrites = 0;
-    this.avgSongLoadTime = 0;
-    this.songLoadTimes = [];
-    this.maxSongLoadTimeSamples = 100; // Keep last 100 samples
+    this.songLoadTime = {
+      bucketCounts: SONG_LOAD_TIME_BUCKETS.map(() => 0), // Per bucket, not cumulative
+      sum: 0, // Seconds
+      count: 0
+    };
+    this.ytdlpFailures = new Map(); // Error category -> count
   }
 
   // Increment counters
@@ -46,15 +56,24 @@ class Metrics {
 
   // Record song load time
   recordSongLoadTime(milliseconds) {
-    this.songLoadTimes.push(milliseconds);
-
-    // Keep only the last N samples
-    if (this.songLoadTimes.length > this.maxSongLoadTimeSamples) {
-      this.songLoadTimes.shift();
+    const seconds = milliseconds / 1000;
+    const bucket = SONG_LOAD_TIME_BUCKETS.findIndex(bound => seconds <= bound);
+    if (bucket !== -1) {
+      this.songLoadTime.bucketCounts[bucket]++;
     }
+    this.songLoadTime.sum += seconds;
+    this.songLoadTime.count++;
+  }
+
+  // Average load time in ms since startup
+  getAverageSongLoadTime() {
+    if (this.songLoadTime.count === 0) return 0;
+    return this.songLoadTime.sum / this.songLoadTime.count * 1000;
+  }
 
-    // Update average
-    this.avgSongLoadTime = this.songLoadTimes.reduce((a, b) => a + b, 0) / this.songLoadTimes.length;
+  // category is one of the categorizeYtdlpError() results
+  recordYtdlpFailure(category) {
+    this.ytdlpFailures.set(category, (this.ytdlpFailures.get(category) || 0) + 1);
   }
 
   // Get uptime in seconds
@@ -114,7 +133,7 @@ class Metrics {
       cacheMisses: this.cacheMisses,
       cacheHitRatio: `${this.getCacheHitRatio()}%`,
       dbWrites: this.dbWrites,
-      avgSongLoadTime: `${Math.round(this.avgSongLoadTime)}ms`,
+      avgSongLoadTime: `${Math.round(this.getAverageSongLoadTime())}ms`,
       memoryUsage: {
         heapUsed: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
         heapTotal: `${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`,
@@ -138,6 +157,67 @@ class Metrics {
     console.log(`🧠 Memory: ${snapshot.memoryUsage.heapUsed} / ${snapshot.memoryUsage.heapTotal} (RSS: ${snapshot.memoryUsage.rss})`);
     console.log('=============================\n');
   }
+
+  // Everything above in Prometheus text format, plus per-guild gauges for the
+  // given MusicQueues (Map of guild ID to queue)
+  toPrometheus(guildQueues = new Map()) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${METRIC_PREFIX}${name}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+    const counter = (name, help, value) => metric(name, 'counter', help, [['', {}, value]]);
+    const gauge = (name, help, value) => metric(name, 'gauge', help, [['', {}, value]]);
+
+    gauge('uptime_seconds', 'Seconds since the bot started', this.getUptimeSeconds());
+    counter('commands_total', 'Slash commands executed', this.commandsExecuted);
+    counter('songs_played_total', 'Songs started', this.songsPlayed);
+    counter('errors_total', 'Audio player errors', this.errors);
+    counter('retries_total', 'Song retries after a playback error', this.retries);
+    counter('cache_hits_total', 'Radio library query cache hits', this.cacheHits);
+    counter('cache_misses_total', 'Radio library query cache misses', this.cacheMisses);
+    counter('db_writes_total', 'Database saves to disk', this.dbWrites);
+
+    metric('ytdlp_failures_total', 'counter', 'yt-dlp failures by error category',
+      [...this.ytdlpFailures].map(([category, count]) => ['', { category }, count]));
+
+    // Buckets are cumulative in Prometheus
+    let cumulative = 0;
+    const buckets = SONG_LOAD_TIME_BUCKETS.map((bound, i) => {
+      cumulative += this.songLoadTime.bucketCounts[i];
+      return ['_bucket', { le: String(bound) }, cumulative];
+    });
+    metric('song_load_seconds', 'histogram', 'Silence before a song started playing, including picking and loading it', [
+      ...buckets,
+      ['_bucket', { le: '+Inf' }, this.songLoadTime.count],
+      ['_sum', {}, this.songLoadTime.sum.toFixed(3)],
+      ['_count', {}, this.songLoadTime.count]
+    ]);
+
+    const queues = [...guildQueues];
+    gauge('voice_connections', 'Active voice connections', queues.filter(([, queue]) => queue.connection).length);
+    metric('guild_voice_connected', 'gauge', 'Whether the bot is in a voice channel in the guild',
+      queues.map(([guildId, queue]) => ['', { guild_id: guildId }, queue.connection ? 1 : 0]));
+    metric('guild_queue_length', 'gauge', 'Songs waiting in the guild\'s queue',
+      queues.map(([guildId, queue]) => ['', { guild_id: guildId }, queue.queue.length]));
+    metric('guild_radio_mode', 'gauge', 'Whether radio mode is on in the guild',
+      queues.map(([guildId, queue]) => ['', { guild_id: guildId }, queue.radioMode ? 1 : 0]));
+
+    const memory = process.memoryUsage();
+    gauge('memory_rss_bytes', 'Resident memory of the bot process', memory.rss);
+    gauge('memory_heap_used_bytes', 'V8 heap in use', memory.heapUsed);
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
 }
 
 // Export singleton instance
@@ -157,3 +237,11 @@ export function trackCacheMiss() {
 export function trackDbWrite() {
   metrics.incrementDbWrites();
 }
+
+// Serve /metrics for Prometheus on the local HTTP server
+export function registerMetricsRoute(guildQueues) {
+  addRoute('GET', '/metrics', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.toPrometheus(guildQueues));
+  });
+}
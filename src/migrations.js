@@ -0,0 +1,314 @@
+// Versioned schema migrations for the radio database
+//
+// Each step runs once, in order, and bumps the version stored in schema_version.
+// Append new steps to the end of the list - never edit, reorder or remove a step
+// that has shipped, since existing radio.db files in Docker volumes depend on it.
+
+import { copyFileSync, existsSync } from 'fs';
+
+// Rows recorded before guild scoping existed. If GUILD_ID is set (single-server
+// deployments) they are assigned to that guild, otherwise they stay unscoped ('')
+// and remain visible in every guild so nobody loses their existing library.
+export const UNSCOPED_GUILD_ID = '';
+const LEGACY_GUILD_ID = process.env.GUILD_ID || UNSCOPED_GUILD_ID;
+
+function tableExists(db, tableName) {
+  const result = db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [tableName]);
+  return result.length > 0 && result[0].values.length > 0;
+}
+
+function columnExists(db, tableName, columnName) {
+  const result = db.exec(`PRAGMA table_info(${tableName})`);
+  if (result.length === 0) return false;
+  const nameIndex = result[0].columns.indexOf('name');
+  return result[0].values.some(row => row[nameIndex] === columnName);
+}
+
+// Steps must be idempotent for databases created before schema_version existed:
+// those start at version 0 and replay every step against tables that may already
+// be in place.
+export const migrations = [
+  {
+    version: 1,
+    name: 'Initial schema',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS user_songs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          user_name TEXT NOT NULL,
+          song_url TEXT NOT NULL,
+          song_title TEXT NOT NULL,
+          song_artist TEXT,
+          request_count INTEGER DEFAULT 1,
+          last_requested DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, song_url)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS listening_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          song_url TEXT NOT NULL,
+          song_title TEXT NOT NULL,
+          played_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS radio_talks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          audio_path TEXT NOT NULL,
+          category TEXT DEFAULT 'general',
+          duration INTEGER,
+          last_played DATETIME,
+          play_count INTEGER DEFAULT 0
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS song_ratings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          song_url TEXT NOT NULL,
+          song_title TEXT NOT NULL,
+          rating INTEGER NOT NULL,
+          rated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, song_url)
+        )
+      `);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_user_songs ON user_songs(user_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_listening_history ON listening_history(user_id, played_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_song_ratings ON song_ratings(user_id, song_url)`);
+    }
+  },
+  {
+    version: 2,
+    name: 'Guild-scoped libraries and guild settings',
+    up(db) {
+      // SQLite cannot alter UNIQUE constraints, so tables with one are rebuilt
+      if (!columnExists(db, 'user_songs', 'guild_id')) {
+        db.run('DROP INDEX IF EXISTS idx_user_songs');
+        db.run('ALTER TABLE user_songs RENAME TO user_songs_legacy');
+        db.run(`
+          CREATE TABLE user_songs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL DEFAULT '',
+            user_id TEXT NOT NULL,
+            user_name TEXT NOT NULL,
+            song_url TEXT NOT NULL,
+            song_title TEXT NOT NULL,
+            song_artist TEXT,
+            request_count INTEGER DEFAULT 1,
+            last_requested DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(guild_id, user_id, song_url)
+          )
+        `);
+        db.run(
+          `INSERT INTO user_songs (id, guild_id, user_id, user_name, song_url, song_title, song_artist, request_count, last_requested)
+           SELECT id, ?, user_id, user_name, song_url, song_title, song_artist, request_count, last_requested FROM user_songs_legacy`,
+          [LEGACY_GUILD_ID]
+        );
+        db.run('DROP TABLE user_songs_legacy');
+      }
+
+      if (!columnExists(db, 'listening_history', 'guild_id')) {
+        db.run(`ALTER TABLE listening_history ADD COLUMN guild_id TEXT NOT NULL DEFAULT ''`);
+        db.run('UPDATE listening_history SET guild_id = ?', [LEGACY_GUILD_ID]);
+      }
+
+      if (!columnExists(db, 'song_ratings', 'guild_id')) {
+        db.run('DROP INDEX IF EXISTS idx_song_ratings');
+        db.run('ALTER TABLE song_ratings RENAME TO song_ratings_legacy');
+        db.run(`
+          CREATE TABLE song_ratings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL DEFAULT '',
+            user_id TEXT NOT NULL,
+            song_url TEXT NOT NULL,
+            song_title TEXT NOT NULL,
+            rating INTEGER NOT NULL,
+            rated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(guild_id, user_id, song_url)
+          )
+        `);
+        db.run(
+          `INSERT INTO song_ratings (id, guild_id, user_id, song_url, song_title, rating, rated_at)
+           SELECT id, ?, user_id, song_url, song_title, rating, rated_at FROM song_ratings_legacy`,
+          [LEGACY_GUILD_ID]
+        );
+        db.run('DROP TABLE song_ratings_legacy');
+      }
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS guild_settings (
+          guild_id TEXT NOT NULL,
+          setting_key TEXT NOT NULL,
+          setting_value TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (guild_id, setting_key)
+        )
+      `);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_user_songs ON user_songs(user_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_user_songs_guild ON user_songs(guild_id, user_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_listening_history_guild ON listening_history(guild_id, played_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_song_ratings ON song_ratings(user_id, song_url)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_song_ratings_guild ON song_ratings(guild_id, user_id)`);
+    }
+  },
+  {
+    version: 3,
+    name: 'Saved playlists',
+    up(db) {
+      // scope is 'user' (owner_id = user ID) or 'guild' (owner_id = guild ID)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS playlists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope TEXT NOT NULL,
+          owner_id TEXT NOT NULL,
+          name TEXT NOT NULL COLLATE NOCASE,
+          created_by TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(scope, owner_id, name)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS playlist_tracks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          playlist_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          song_url TEXT NOT NULL,
+          song_title TEXT NOT NULL,
+          song_artist TEXT,
+          duration INTEGER,
+          thumbnail TEXT,
+          added_by TEXT
+        )
+      `);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_playlists_owner ON playlists(scope, owner_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_playlist_tracks ON playlist_tracks(playlist_id, position)`);
+    }
+  },
+  {
+    version: 4,
+    name: 'Track loudness',
+    up(db) {
+      // One row per song URL, shared by every guild - loudness is a property of the upload
+      db.run(`
+        CREATE TABLE IF NOT EXISTS track_loudness (
+          song_url TEXT PRIMARY KEY,
+          integrated_lufs REAL NOT NULL,
+          true_peak REAL,
+          gain_db REAL NOT NULL,
+          measured_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'Queue snapshots',
+    up(db) {
+      // Latest queue and playback state per guild, restored after a restart.
+      // state is JSON: current song and position, queue, radio/discovery and loop modes.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS queue_snapshots (
+          guild_id TEXT PRIMARY KEY,
+          voice_channel_id TEXT NOT NULL,
+          text_channel_id TEXT,
+          state TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'API keys',
+    up(db) {
+      // Keys for the HTTP control API, one guild each. Only a SHA-256 of the key is
+      // stored; the key itself is shown once when it is created.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guild_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          created_by TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          UNIQUE(guild_id, name)
+        )
+      `);
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export function getSchemaVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  const result = db.exec('SELECT MAX(version) FROM schema_version');
+  return result[0]?.values[0]?.[0] ?? 0;
+}
+
+// Bring the database up to LATEST_SCHEMA_VERSION. Pending steps run in a single
+// transaction, so a failed step leaves the database exactly as it was loaded.
+// backupFrom is the file to copy before migrating (null for a brand new database).
+// Returns true if any migration was applied.
+export function runMigrations(db, backupFrom = null) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const currentVersion = getSchemaVersion(db);
+
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this build supports (${LATEST_SCHEMA_VERSION}). ` +
+      'Refusing to start - update the bot, or restore a backup of radio.db made for this version.'
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  if (pending.length === 0) {
+    console.log(`✓ Database schema is up to date (v${currentVersion})`);
+    return false;
+  }
+
+  // Back up the file as it was on disk before touching it
+  if (backupFrom && existsSync(backupFrom)) {
+    const backupPath = `${backupFrom}.backup-v${currentVersion}.${Date.now()}`;
+    copyFileSync(backupFrom, backupPath);
+    console.log(`💾 Database backed up to: ${backupPath}`);
+  }
+
+  console.log(`🔄 Migrating database schema v${currentVersion} → v${LATEST_SCHEMA_VERSION}...`);
+
+  db.run('BEGIN TRANSACTION');
+  try {
+    for (const migration of pending) {
+      console.log(`  → v${migration.version}: ${migration.name}`);
+      migration.up(db);
+      db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw new Error(`Database migration failed, no changes were applied: ${error.message}`);
+  }
+
+  console.log(`✓ Database schema migrated to v${LATEST_SCHEMA_VERSION}`);
+  return true;
+}
@@ -3,9 +3,33 @@ import play from 'play-dl';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { writeFileSync, existsSync, unlinkSync } from 'fs';
-import { trackUserSong, recordListeningHistory, getMultipleUsersSongs, rateSong } from './database.js';
+import { EventEmitter } from 'events';
+import {
+  trackUserSong,
+  recordListeningHistory,
+  getMultipleUsersSongs,
+  getAudienceRatings,
+  rateSong,
+  getTrackLoudness,
+  saveTrackLoudness,
+  saveQueueSnapshot,
+  deleteQueueSnapshot
+} from './database.js';
+import { SETTINGS, getSetting, setSetting } from './settings.js';
 import { createNowPlayingEmbed, createPlaybackButtons, createInfoEmbed } from './radioEmbeds.js';
 import metrics from './metrics.js';
+import {
+  YTDLP_PATH,
+  spawnTranscoder,
+  ytdlpSeekArgs,
+  killProcesses,
+  getUrlStartTime,
+  parseLoudnormStats,
+  calculateNormalizationGain,
+  categorizeYtdlpError
+} from './audioPipeline.js';
+import { PcmMixer, BYTES_PER_SECOND } from './pcmMixer.js';
+import { canForceSkip } from './permissions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -56,8 +80,56 @@ process.on('exit', () => {
   }
 });
 
-export class MusicQueue {
-  constructor() {
+// Radio weighting from 👍/👎 ratings of the listeners currently in voice
+const RATING_LIKE_BOOST = 0.5; // +50% weight per 👍
+const RATING_DISLIKE_PENALTY = 0.35; // Weight multiplier per 👎
+const RATING_BAN_DISLIKES = 2; // 👎 needed to ban a song for the current audience
+
+// off: play through the queue once; track: repeat the current song;
+// queue: requeue each finished song at the end
+export const LOOP_MODES = ['off', 'track', 'queue'];
+
+const MAX_SESSION_HISTORY = 50; // Songs kept for /history, /replay and the previous button
+export const DEFAULT_VOLUME_PERCENT = SETTINGS.default_volume.default;
+export const MAX_VOLUME_PERCENT = SETTINGS.default_volume.max; // inlineVolume amplifies above 100%, expect some clipping
+const PROGRESS_REFRESH_INTERVAL = 15000; // How often the now-playing progress bar is redrawn
+export const STREAM_SUPERSEDED = 'STREAM_SUPERSEDED'; // Error code when a newer seek or song replaced a loading stream
+const NON_MEMBER_REQUESTERS = new Set(['radio', 'discovery', 'api']); // Their songs aren't added to anyone's library
+const PREFETCH_LEAD_SECONDS = 20; // How long before the crossfade the next song is chosen and its stream opened
+const SNAPSHOT_DEBOUNCE_MS = 1000; // Coalesces queue snapshot writes from bursts of changes
+const PREFETCH_CHECK_INTERVAL = 250; // How often the prefetch monitor checks the playback position
+const DRAINED_STREAM_TIMEOUT = 30000; // Kill a faded-out stream that still hasn't finished by then
+const SONG_DETAILS_CACHE_MAX = 500; // Looked-up lengths and thumbnails kept for radio picks
+
+// url -> promise of { duration, thumbnail }, or null if the lookup failed. Shared
+// by every guild, so a library song is only looked up the first time it's picked.
+const songDetailsCache = new Map();
+
+// The parts of a song object worth showing outside Discord
+export function describeSong(song) {
+  if (!song) return null;
+  return {
+    title: song.title,
+    url: song.url,
+    artist: song.artist || null,
+    duration: song.duration || null,
+    thumbnail: song.thumbnail || null,
+    requestedBy: song.requestedBy?.name || null,
+    isRadio: song.requestedBy?.id === 'radio'
+  };
+}
+
+// Emits, for the now-playing feed:
+//   songStart (song)                         - a song started, including crossfades and loops
+//   pause, resume                            - the player was paused or resumed
+//   queueChanged (queue)                     - songs were added, removed or reordered
+//   songRated ({ song, userId, userName, rating })
+//   radioModeChanged (enabled)
+//   stopped                                  - playback ended with nothing left to play, or the bot left
+export class MusicQueue extends EventEmitter {
+  constructor(guildId) {
+    super();
+    this.guildId = guildId; // Scopes song libraries, history and ratings
     this.queue = [];
     this.currentSong = null;
     this.connection = null;
@@ -71,23 +143,69 @@ export class MusicQueue {
     this.activeUsers = new Set();
     this.recentlyPlayed = []; // Adaptive history: up to 60% of library or 50 songs
     this.recentArtists = []; // Adaptive history: up to 15% of library or 10 artists
-    this.crossfadeDuration = 3000; // 3 seconds crossfade
-    this.currentVolume = 1.0; // Track current volume level
+    this.lastRadioSelection = null; // How the last radio song was picked, for the dashboard
+    this.volume = getSetting(guildId, 'default_volume') / 100; // Chosen level, 1.0 = 100%
+    this.currentVolume = this.volume; // Actual level right now, lower while fading
     this.fadeInterval = null; // Track active fade interval
     this.botMessages = []; // Track bot messages for cleanup (circular buffer, max 10)
     this.maxBotMessages = 10; // Maximum messages to track
     this.retryCount = 0; // Track retry attempts for current song
-    this.maxRetries = 3; // Maximum retry attempts
+    this.applySettings(); // crossfadeDuration, maxRetries and the other /settings tunables
     this.failedUrls = new Set(); // Track URLs that consistently fail
+    this.loopMode = 'off'; // One of LOOP_MODES
+    this.skipRequested = false; // Set by skip() so track loop moves on
+    this.skipVotes = new Set(); // IDs of members who voted to skip the current song
+    this.songFailed = false; // Set when the current song gave up, so loops don't replay it
+    this.recoveringFromError = false; // Error handler owns the next step, Idle must not advance
+    this.nowPlayingMessage = null; // Latest now-playing message, refreshed on state changes
+    this.sessionHistory = []; // { song, playedAt } for songs finished this session, oldest first
+    this.previousRequested = false; // Set by previous() so the song we leave isn't recorded or looped
+    this.mixer = null; // PcmMixer the player is playing; each song's stream is an input
+    this.mixerInput = null; // The current song's input on the mixer
+    this.prefetch = null; // Next song, chosen and its stream opened while the current one plays
+    this.prefetchInterval = null; // Watches for the points to prefetch and to start the crossfade
+    this.silentSince = null; // When the last song stopped, for measuring the gap before the next
+    this.snapshotTimeout = null; // Pending queue snapshot write
+    this.streamGeneration = 0; // Bumped per stream start, so a stale load can't replace a newer one
+    this.playbackOffset = 0; // Seconds into the song where the current stream started
+    this.playbackSpeed = 1; // Song seconds per second of playback (changed by speed filters)
+    this.filter = null; // Active /filter preset or equalizer, null for none
+    this.normalization = null; // Loudness normalization of the current stream ({ gainDb } or { measure: true })
+    this.progressInterval = null; // Redraws the now-playing progress bar
 
     this.setupPlayerEvents();
   }
 
   setupPlayerEvents() {
+    this.player.on('stateChange', (oldState, newState) => {
+      const wasPaused = oldState.status === AudioPlayerStatus.Paused || oldState.status === AudioPlayerStatus.AutoPaused;
+      const isPaused = newState.status === AudioPlayerStatus.Paused || newState.status === AudioPlayerStatus.AutoPaused;
+      if (isPaused && !wasPaused) {
+        this.emit('pause');
+      } else if (wasPaused && newState.status === AudioPlayerStatus.Playing) {
+        this.emit('resume');
+      }
+    });
+
     this.player.on(AudioPlayerStatus.Idle, () => {
       this.isPlaying = false;
       this.clearFadeInterval();
-      this.currentVolume = 1.0;
+      this.stopProgressUpdates();
+      this.stopPrefetchMonitor();
+      this.currentVolume = this.volume;
+      this.silentSince = Date.now();
+
+      // Skipped songs leave yt-dlp downloading in the background otherwise.
+      // Destroying the mixer kills the processes of every input.
+      this.releaseMixer();
+
+      // The player goes Idle right after emitting 'error'; the error handler
+      // has already scheduled a retry or moved on
+      if (this.recoveringFromError) {
+        this.recoveringFromError = false;
+        return;
+      }
+
       this.retryCount = 0; // Reset retry count on successful completion
       this.playNext();
     });
@@ -95,8 +213,14 @@ export class MusicQueue {
     this.player.on('error', error => {
       console.error('Audio player error:', error);
       this.isPlaying = false;
+      this.recoveringFromError = true;
       this.clearFadeInterval();
-      this.currentVolume = 1.0;
+      this.stopProgressUpdates();
+      this.stopPrefetchMonitor();
+      this.currentVolume = this.volume;
+
+      // Retries pick the song up where the failed stream left off
+      const resumeAt = this.getPlaybackPosition(error.resource);
 
       // Track error
       metrics.incrementErrors();
@@ -113,7 +237,7 @@ export class MusicQueue {
         }
 
         setTimeout(() => {
-          this.playSong(this.currentSong).catch(err => {
+          this.playSong(this.currentSong, resumeAt).catch(err => {
             console.error('Retry failed:', err);
           });
         }, backoffMs);
@@ -127,6 +251,7 @@ export class MusicQueue {
         }
 
         this.retryCount = 0;
+        this.songFailed = true;
 
         if (this.textChannel) {
           this.textChannel.send(`❌ Error playing song: ${error.message}. Skipping...`).catch(console.error);
@@ -171,6 +296,12 @@ export class MusicQueue {
     this.botMessages = [];
   }
 
+  // Set the volume of whatever resource the player holds (it may still be buffering)
+  applyVolume(level) {
+    this.currentVolume = level;
+    this.player.state.resource?.volume?.setVolume(level);
+  }
+
   async fadeOutAndSkip() {
     return new Promise((resolve) => {
       // Clear any existing fade
@@ -178,19 +309,12 @@ export class MusicQueue {
 
       const fadeSteps = 20; // Number of volume steps
       const stepDuration = this.crossfadeDuration / fadeSteps; // ms per step
+      const startVolume = this.currentVolume;
       let currentStep = 0;
 
       this.fadeInterval = setInterval(() => {
         currentStep++;
-        const newVolume = Math.max(0, 1 - (currentStep / fadeSteps));
-        this.currentVolume = newVolume;
-
-        // Set volume on current resource if available
-        if (this.player.state.status === AudioPlayerStatus.Playing &&
-            this.player.state.resource &&
-            this.player.state.resource.volume) {
-          this.player.state.resource.volume.setVolume(newVolume);
-        }
+        this.applyVolume(Math.max(0, startVolume * (1 - currentStep / fadeSteps)));
 
         if (currentStep >= fadeSteps) {
           this.clearFadeInterval();
@@ -201,6 +325,8 @@ export class MusicQueue {
     });
   }
 
+  // Ramp from silence up to the guild's volume. The target is read on every step,
+  // so a /volume change during the fade is picked up.
   async fadeIn() {
     // Clear any existing fade
     this.clearFadeInterval();
@@ -210,23 +336,11 @@ export class MusicQueue {
     let currentStep = 0;
 
     // Start at 0 volume
-    this.currentVolume = 0;
-    if (this.player.state.status === AudioPlayerStatus.Playing &&
-        this.player.state.resource &&
-        this.player.state.resource.volume) {
-      this.player.state.resource.volume.setVolume(0);
-    }
+    this.applyVolume(0);
 
     this.fadeInterval = setInterval(() => {
       currentStep++;
-      const newVolume = Math.min(1, currentStep / fadeSteps);
-      this.currentVolume = newVolume;
-
-      if (this.player.state.status === AudioPlayerStatus.Playing &&
-          this.player.state.resource &&
-          this.player.state.resource.volume) {
-        this.player.state.resource.volume.setVolume(newVolume);
-      }
+      this.applyVolume(Math.min(1, currentStep / fadeSteps) * this.volume);
 
       if (currentStep >= fadeSteps) {
         this.clearFadeInterval();
@@ -234,6 +348,27 @@ export class MusicQueue {
     }, stepDuration);
   }
 
+  // Set the volume as a percentage (0-200) and save it as the guild's default.
+  // Returns the level actually used.
+  setVolume(percent) {
+    const level = Math.max(0, Math.min(MAX_VOLUME_PERCENT, Math.round(percent)));
+    this.volume = level / 100;
+    setSetting(this.guildId, 'default_volume', level);
+    console.log(`🔊 Volume set to ${level}%`);
+
+    // A running fade heads for the new level by itself
+    if (!this.fadeInterval) {
+      this.applyVolume(this.volume);
+    }
+
+    this.refreshNowPlayingMessage();
+    return level;
+  }
+
+  getVolumePercent() {
+    return Math.round(this.volume * 100);
+  }
+
   async connect(voiceChannel, textChannel) {
     try {
       this.voiceChannel = voiceChannel;
@@ -371,6 +506,7 @@ export class MusicQueue {
 
       ytdlp.on('close', (code) => {
         if (code !== 0) {
+          metrics.recordYtdlpFailure(categorizeYtdlpError(errorOutput));
           return reject(new Error(`Failed to get video info: ${errorOutput}`));
         }
 
@@ -391,179 +527,154 @@ export class MusicQueue {
       });
 
       ytdlp.on('error', (error) => {
+        metrics.recordYtdlpFailure('spawn');
         reject(new Error(`Failed to spawn yt-dlp: ${error.message}`));
       });
     });
   }
 
-  async addSong(url, userId, userName, priority = false) {
-    try {
-      let songInfo;
-
-      // Convert YouTube Music URLs to regular YouTube URLs
-      if (url.includes('music.youtube.com')) {
-        url = url.replace('music.youtube.com', 'www.youtube.com');
-      }
-
-      // Determine source type
-      const isYouTube = url.includes('youtube.com') || url.includes('youtu.be');
-      const isSoundCloud = url.includes('soundcloud.com');
-      const isSpotify = url.includes('spotify.com');
-      const isDeezer = url.includes('deezer.com');
-
-      if (isYouTube) {
-        // If it's a playlist URL, only get the first video
-        if (url.includes('list=')) {
-          const playlistInfo = await play.playlist_info(url, { incomplete: true });
-          const videos = await playlistInfo.all_videos();
-
-          if (videos.length === 0) {
-            throw new Error('Playlist is empty. Use /playlist command to add entire playlists.');
-          }
-
-          // Get only the first video
-          const firstVideo = videos[0];
-          const song = {
-            url: firstVideo.url,
-            title: firstVideo.title,
-            artist: firstVideo.channel?.name || 'Unknown',
-            duration: firstVideo.durationInSec,
-            requestedBy: { id: userId, name: userName },
-            thumbnail: firstVideo.thumbnails[0]?.url
-          };
-
-          trackUserSong(userId, userName, song.url, song.title, song.artist);
-
-          if (priority) {
-            this.queue.unshift(song);
-          } else {
-            this.queue.push(song);
-          }
-
-          if (this.textChannel) {
-            this.textChannel.send(
-              `ℹ️ Playlist URL detected - added only the first song. Use \`/playlist\` to add entire playlists.`
-            ).catch(console.error);
-          }
-
-          return song;
-        }
+  // Look up a URL and build a song object without queueing it
+  async resolveSong(url, userId, userName) {
+    let songInfo;
 
-        // Regular single video URL
-        songInfo = await this.getVideoInfoWithYtDlp(url);
-        const videoDetails = songInfo.video_details;
+    // Convert YouTube Music URLs to regular YouTube URLs
+    if (url.includes('music.youtube.com')) {
+      url = url.replace('music.youtube.com', 'www.youtube.com');
+    }
 
-        const song = {
-          url: videoDetails.url,
-          title: videoDetails.title,
-          artist: videoDetails.channel?.name || 'Unknown',
-          duration: videoDetails.durationInSec,
-          requestedBy: { id: userId, name: userName },
-          thumbnail: videoDetails.thumbnails[0]?.url
-        };
+    // Determine source type
+    const isYouTube = url.includes('youtube.com') || url.includes('youtu.be');
+    const isSoundCloud = url.includes('soundcloud.com');
+    const isSpotify = url.includes('spotify.com');
+    const isDeezer = url.includes('deezer.com');
 
-        trackUserSong(userId, userName, song.url, song.title, song.artist);
+    if (isYouTube) {
+      // If it's a playlist URL, only get the first video
+      if (url.includes('list=')) {
+        const playlistInfo = await play.playlist_info(url, { incomplete: true });
+        const videos = await playlistInfo.all_videos();
 
-        if (priority) {
-          this.queue.unshift(song);
-        } else {
-          this.queue.push(song);
+        if (videos.length === 0) {
+          throw new Error('Playlist is empty. Use /playlist import to add entire playlists.');
         }
 
-        return song;
-      } else if (isSoundCloud) {
-        // Handle SoundCloud URLs
-        const soundcloudInfo = await play.soundcloud(url);
-
-        const song = {
-          url: soundcloudInfo.url,
-          title: soundcloudInfo.name,
-          artist: soundcloudInfo.user?.name || 'Unknown',
-          duration: soundcloudInfo.durationInSec,
+        // Get only the first video
+        const firstVideo = videos[0];
+        return {
+          url: firstVideo.url,
+          title: firstVideo.title,
+          artist: firstVideo.channel?.name || 'Unknown',
+          duration: firstVideo.durationInSec,
           requestedBy: { id: userId, name: userName },
-          thumbnail: soundcloudInfo.thumbnail
+          thumbnail: firstVideo.thumbnails[0]?.url
         };
+      }
 
-        trackUserSong(userId, userName, song.url, song.title, song.artist);
-
-        if (priority) {
-          this.queue.unshift(song);
-        } else {
-          this.queue.push(song);
-        }
-
-        return song;
-      } else if (isSpotify) {
-        // Handle Spotify URLs - note: Spotify requires fetching from YouTube for actual audio
-        const spotifyInfo = await play.spotify(url);
+      // Regular single video URL
+      songInfo = await this.getVideoInfoWithYtDlp(url);
+      const videoDetails = songInfo.video_details;
 
-        // Search for the song on YouTube to get playable audio
-        const searchQuery = `${spotifyInfo.name} ${spotifyInfo.artists?.[0]?.name || ''}`;
-        const searchResults = await play.search(searchQuery, { limit: 1 });
+      return {
+        url: videoDetails.url,
+        title: videoDetails.title,
+        artist: videoDetails.channel?.name || 'Unknown',
+        duration: videoDetails.durationInSec,
+        requestedBy: { id: userId, name: userName },
+        thumbnail: videoDetails.thumbnails[0]?.url
+      };
+    } else if (isSoundCloud) {
+      // Handle SoundCloud URLs
+      const soundcloudInfo = await play.soundcloud(url);
 
-        if (searchResults.length === 0) {
-          throw new Error('Could not find playable version of Spotify track');
-        }
+      return {
+        url: soundcloudInfo.url,
+        title: soundcloudInfo.name,
+        artist: soundcloudInfo.user?.name || 'Unknown',
+        duration: soundcloudInfo.durationInSec,
+        requestedBy: { id: userId, name: userName },
+        thumbnail: soundcloudInfo.thumbnail
+      };
+    } else if (isSpotify) {
+      // Handle Spotify URLs - note: Spotify requires fetching from YouTube for actual audio
+      const spotifyInfo = await play.spotify(url);
 
-        const youtubeUrl = searchResults[0].url;
-        const videoInfo = await this.getVideoInfoWithYtDlp(youtubeUrl);
-        const videoDetails = videoInfo.video_details;
+      // Search for the song on YouTube to get playable audio
+      const searchQuery = `${spotifyInfo.name} ${spotifyInfo.artists?.[0]?.name || ''}`;
+      const searchResults = await play.search(searchQuery, { limit: 1 });
 
-        const song = {
-          url: videoDetails.url,
-          title: spotifyInfo.name,
-          artist: spotifyInfo.artists?.[0]?.name || 'Unknown',
-          duration: videoDetails.durationInSec,
-          requestedBy: { id: userId, name: userName },
-          thumbnail: spotifyInfo.thumbnail?.url || videoDetails.thumbnails[0]?.url
-        };
+      if (searchResults.length === 0) {
+        throw new Error('Could not find playable version of Spotify track');
+      }
 
-        trackUserSong(userId, userName, song.url, song.title, song.artist);
+      const youtubeUrl = searchResults[0].url;
+      const videoInfo = await this.getVideoInfoWithYtDlp(youtubeUrl);
+      const videoDetails = videoInfo.video_details;
 
-        if (priority) {
-          this.queue.unshift(song);
-        } else {
-          this.queue.push(song);
-        }
+      return {
+        url: videoDetails.url,
+        title: spotifyInfo.name,
+        artist: spotifyInfo.artists?.[0]?.name || 'Unknown',
+        duration: videoDetails.durationInSec,
+        requestedBy: { id: userId, name: userName },
+        thumbnail: spotifyInfo.thumbnail?.url || videoDetails.thumbnails[0]?.url
+      };
+    } else if (isDeezer) {
+      // Handle Deezer URLs - similar to Spotify, requires YouTube for audio
+      const deezerInfo = await play.deezer(url);
 
-        return song;
-      } else if (isDeezer) {
-        // Handle Deezer URLs - similar to Spotify, requires YouTube for audio
-        const deezerInfo = await play.deezer(url);
+      // Search for the song on YouTube to get playable audio
+      const searchQuery = `${deezerInfo.title} ${deezerInfo.artist?.name || ''}`;
+      const searchResults = await play.search(searchQuery, { limit: 1 });
 
-        // Search for the song on YouTube to get playable audio
-        const searchQuery = `${deezerInfo.title} ${deezerInfo.artist?.name || ''}`;
-        const searchResults = await play.search(searchQuery, { limit: 1 });
+      if (searchResults.length === 0) {
+        throw new Error('Could not find playable version of Deezer track');
+      }
 
-        if (searchResults.length === 0) {
-          throw new Error('Could not find playable version of Deezer track');
-        }
+      const youtubeUrl = searchResults[0].url;
+      const videoInfo = await this.getVideoInfoWithYtDlp(youtubeUrl);
+      const videoDetails = videoInfo.video_details;
 
-        const youtubeUrl = searchResults[0].url;
-        const videoInfo = await this.getVideoInfoWithYtDlp(youtubeUrl);
-        const videoDetails = videoInfo.video_details;
+      return {
+        url: videoDetails.url,
+        title: deezerInfo.title,
+        artist: deezerInfo.artist?.name || 'Unknown',
+        duration: videoDetails.durationInSec,
+        requestedBy: { id: userId, name: userName },
+        thumbnail: deezerInfo.thumbnail || videoDetails.thumbnails[0]?.url
+      };
+    } else {
+      throw new Error('Unsupported URL. Please use YouTube, SoundCloud, Spotify, or Deezer URLs.');
+    }
+  }
 
-        const song = {
-          url: videoDetails.url,
-          title: deezerInfo.title,
-          artist: deezerInfo.artist?.name || 'Unknown',
-          duration: videoDetails.durationInSec,
-          requestedBy: { id: userId, name: userName },
-          thumbnail: deezerInfo.thumbnail || videoDetails.thumbnails[0]?.url
-        };
+  async addSong(url, userId, userName, priority = false) {
+    try {
+      const song = await this.resolveSong(url, userId, userName);
 
-        trackUserSong(userId, userName, song.url, song.title, song.artist);
+      const startAt = getUrlStartTime(url);
+      if (startAt > 0 && (!song.duration || startAt < song.duration)) {
+        song.startAt = startAt;
+      }
 
-        if (priority) {
-          this.queue.unshift(song);
-        } else {
-          this.queue.push(song);
-        }
+      if (!NON_MEMBER_REQUESTERS.has(userId)) {
+        trackUserSong(this.guildId, userId, userName, song.url, song.title, song.artist);
+      }
 
-        return song;
+      if (priority) {
+        this.queue.unshift(song);
       } else {
-        throw new Error('Unsupported URL. Please use YouTube, SoundCloud, Spotify, or Deezer URLs.');
+        this.queue.push(song);
       }
+      this.queueChanged();
+
+      const isYouTubePlaylist = (url.includes('youtube.com') || url.includes('youtu.be')) && url.includes('list=');
+      if (isYouTubePlaylist && this.textChannel) {
+        this.textChannel.send(
+          `ℹ️ Playlist URL detected - added only the first song. Use \`/playlist import\` to add entire playlists.`
+        ).catch(console.error);
+      }
+
+      return song;
     } catch (error) {
       console.error('Error adding song:', error);
       throw error;
@@ -602,7 +713,9 @@ export class MusicQueue {
             thumbnail: video.thumbnails[0]?.url
           };
 
-          trackUserSong(userId, userName, song.url, song.title, song.artist);
+          if (!NON_MEMBER_REQUESTERS.has(userId)) {
+            trackUserSong(this.guildId, userId, userName, song.url, song.title, song.artist);
+          }
           this.queue.push(song);
           addedSongs.push(song);
         } catch (videoError) {
@@ -610,6 +723,8 @@ export class MusicQueue {
         }
       }
 
+      this.queueChanged();
+
       // If radio mode is playing, interrupt it to start the playlist
       if (this.radioMode && this.isPlaying && this.currentSong?.requestedBy.id === 'radio') {
         if (this.textChannel) {
@@ -629,7 +744,41 @@ export class MusicQueue {
     }
   }
 
-  async playSong(song) {
+  // Queue tracks from a saved playlist (rows from playlist_tracks)
+  addSavedSongs(tracks, userId, userName, shuffle = false) {
+    const songs = tracks.map(track => ({
+      url: track.song_url,
+      title: track.song_title,
+      artist: track.song_artist || 'Unknown',
+      duration: track.duration || 0,
+      requestedBy: { id: userId, name: userName },
+      thumbnail: track.thumbnail || undefined
+    }));
+
+    if (shuffle) {
+      // Fisher-Yates shuffle
+      for (let i = songs.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [songs[i], songs[j]] = [songs[j], songs[i]];
+      }
+    }
+
+    this.queue.push(...songs);
+    this.queueChanged();
+
+    // If radio mode is playing, interrupt it to start the playlist
+    if (this.radioMode && this.isPlaying && this.currentSong?.requestedBy.id === 'radio') {
+      if (this.textChannel) {
+        this.textChannel.send('🎵 Interrupting radio to play your playlist!').catch(console.error);
+      }
+      this.skip();
+    }
+
+    return songs;
+  }
+
+  // prefetched is the song's stream if it was already opened by openStream()
+  async playSong(song, startSeconds = 0, prefetched = null) {
     try {
       // Validate song object
       if (!song || !song.url) {
@@ -651,80 +800,37 @@ export class MusicQueue {
       }
 
       // Use yt-dlp for streaming
-      await this.playWithLocalStream(song);
+      await this.playWithLocalStream(song, startSeconds, prefetched);
 
-      // Track successful song load
-      const loadTime = Date.now() - startTime;
+      // Track successful song load. After a song ends this is the silence between
+      // the two, including picking and looking up the next song.
+      const loadTime = Date.now() - (this.silentSince ?? startTime);
+      this.silentSince = null;
       metrics.recordSongLoadTime(loadTime);
       metrics.incrementSongsPlayed();
 
       // Fade in the new song
       await this.fadeIn();
+      this.startPrefetchMonitor();
 
-      this.activeUsers.forEach(userId => {
-        recordListeningHistory(userId, song.url, song.title);
-      });
-
-      if (this.textChannel) {
-        // Delete previous message before sending new one
-        if (this.botMessages.length > 0) {
-          const previousMessage = this.botMessages[this.botMessages.length - 1];
-          try {
-            await previousMessage.delete();
-          } catch (error) {
-            console.log('Could not delete previous message:', error.message);
-          }
-          this.botMessages.pop(); // Remove from tracking
-        }
+      await this.announceSong(song);
 
-        const isRadioSong = song.requestedBy.id === 'radio';
-        const embed = createNowPlayingEmbed(song, isRadioSong);
-        const buttons = createPlaybackButtons(true, false);
-
-        this.textChannel.send({
-          embeds: [embed],
-          components: [buttons]
-        }).then(async (message) => {
-          // Track this message with circular buffer
-          this.trackBotMessage(message);
-
-          // Add reaction emojis
-          try {
-            await message.react('👍');
-            await message.react('👎');
-
-            // Create reaction collector
-            const filter = (reaction, user) => {
-              return ['👍', '👎'].includes(reaction.emoji.name) && !user.bot;
-            };
-
-            const collector = message.createReactionCollector({ filter, time: 300000 }); // 5 minutes
-
-            collector.on('collect', (reaction, user) => {
-              console.log(`${user.username} reacted with ${reaction.emoji.name} to ${song.title}`);
-
-              // Track the rating
-              const rating = reaction.emoji.name === '👍' ? 1 : -1;
-              rateSong(user.id, song.url, song.title, rating, user.username);
-
-              if (rating === 1) {
-                console.log(`✓ Added ${song.title} to ${user.username}'s profile`);
-              }
-            });
-
-            collector.on('end', () => {
-              console.log('Reaction collector ended for:', song.title);
-            });
-          } catch (error) {
-            console.error('Error adding reactions:', error);
-          }
-        }).catch(console.error);
+      if (!song.duration) {
+        this.fillSongDetails(song).then(() => {
+          if (this.currentSong === song) this.refreshNowPlayingMessage();
+        });
       }
-
       return true;
     } catch (error) {
+      // A newer song or seek took over while this one was loading - nothing to skip
+      if (error.code === STREAM_SUPERSEDED) {
+        console.log(`Stopped loading ${song.title}: ${error.message}`);
+        return false;
+      }
+
       console.error('Error playing song:', error);
       this.isPlaying = false;
+      this.songFailed = true;
 
       if (this.textChannel) {
         this.textChannel.send(`❌ Failed to play: ${song?.title || 'Unknown song'}. Skipping...`).catch(console.error);
@@ -736,327 +842,686 @@ export class MusicQueue {
     }
   }
 
-  async playWithLocalStream(song) {
-    // Check if it's a SoundCloud URL - use play-dl's native streaming
-    if (song.url.includes('soundcloud.com')) {
-      console.log('🎵 Using play-dl for SoundCloud streaming...');
+  // Record the song for everyone listening and post its now-playing message
+  async announceSong(song) {
+    this.skipVotes.clear();
+    this.saveSnapshot();
+    this.emit('songStart', song);
 
-      try {
-        const stream = await play.stream(song.url);
-        const resource = createAudioResource(stream.stream, {
-          inputType: stream.type,
-          inlineVolume: true
-        });
+    this.activeUsers.forEach(userId => {
+      recordListeningHistory(this.guildId, userId, song.url, song.title);
+    });
 
-        this.player.play(resource);
-        console.log('✓ Streaming audio from SoundCloud');
-        return;
-      } catch (error) {
-        console.error('SoundCloud streaming failed:', error);
-        throw new Error(`Failed to stream from SoundCloud: ${error.message}`);
+    if (this.textChannel && song.discoveredFrom) {
+      const embed = createInfoEmbed(
+        '🔍 Discovery Mode',
+        `Found something new based on **${song.discoveredFrom}**!\n\n**${song.title}**\n\n👍 React to add it to your library!`
+      );
+      this.textChannel.send({ embeds: [embed] }).catch(console.error);
+      delete song.discoveredFrom; // Only the first play is a discovery
+    }
+
+    if (this.textChannel) {
+      // Delete previous message before sending new one
+      if (this.botMessages.length > 0) {
+        const previousMessage = this.botMessages[this.botMessages.length - 1];
+        try {
+          await previousMessage.delete();
+        } catch (error) {
+          console.log('Could not delete previous message:', error.message);
+        }
+        this.botMessages.pop(); // Remove from tracking
       }
+
+      this.textChannel.send(this.buildNowPlayingMessage()).then(async (message) => {
+        // Track this message with circular buffer
+        this.trackBotMessage(message);
+        this.nowPlayingMessage = message;
+        this.startProgressUpdates();
+
+        // Add reaction emojis
+        try {
+          await message.react('👍');
+          await message.react('👎');
+
+          // Create reaction collector
+          const filter = (reaction, user) => {
+            return ['👍', '👎'].includes(reaction.emoji.name) && !user.bot;
+          };
+
+          const collector = message.createReactionCollector({ filter, time: this.ratingWindow });
+
+          collector.on('collect', (reaction, user) => {
+            console.log(`${user.username} reacted with ${reaction.emoji.name} to ${song.title}`);
+
+            // Track the rating
+            const rating = reaction.emoji.name === '👍' ? 1 : -1;
+            rateSong(this.guildId, user.id, song.url, song.title, rating, user.username);
+            this.emit('songRated', { song, userId: user.id, userName: user.username, rating });
+
+            if (rating === 1) {
+              console.log(`✓ Added ${song.title} to ${user.username}'s profile`);
+            }
+          });
+
+          collector.on('end', () => {
+            console.log('Reaction collector ended for:', song.title);
+          });
+        } catch (error) {
+          console.error('Error adding reactions:', error);
+        }
+      }).catch(console.error);
     }
+  }
 
-    // For YouTube and other sources, use yt-dlp
-    console.log('🎵 Using yt-dlp for streaming...');
+  // Radio picks come from the library without a length or thumbnail. Look them
+  // up, so prefetching, seeking and the progress bar work for them too.
+  async fillSongDetails(song) {
+    if (song.duration) return;
 
-    // Use yt-dlp directly via spawn - pipe audio directly to Discord
-    const { spawn } = await import('child_process');
-    const { existsSync } = await import('fs');
+    const details = await this.lookupSongDetails(song);
+    if (details) {
+      song.duration = details.duration;
+      song.thumbnail = song.thumbnail || details.thumbnail;
+    }
+  }
 
-    // Determine the correct yt-dlp binary based on platform
-    const platform = process.platform;
-    let ytdlpPath;
+  // Cached per URL; concurrent lookups of the same song share one yt-dlp run
+  lookupSongDetails(song) {
+    const cached = songDetailsCache.get(song.url);
+    if (cached) return cached;
+
+    const details = this.resolveSong(song.url, song.requestedBy.id, song.requestedBy.name)
+      .then(({ duration, thumbnail }) => ({ duration, thumbnail }))
+      .catch(error => {
+        console.log(`Could not look up details for ${song.title}: ${error.message}`);
+        songDetailsCache.delete(song.url);
+        return null;
+      });
 
-    if (platform === 'win32') {
-      ytdlpPath = join(__dirname, '..', 'node_modules', 'youtube-dl-exec', 'bin', 'yt-dlp.exe');
-    } else {
-      ytdlpPath = join(__dirname, '..', 'node_modules', 'youtube-dl-exec', 'bin', 'yt-dlp');
+    songDetailsCache.set(song.url, details);
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (songDetailsCache.size > SONG_DETAILS_CACHE_MAX) {
+      songDetailsCache.delete(songDetailsCache.keys().next().value);
     }
 
-    console.log(`Platform: ${platform}, Using yt-dlp at: ${ytdlpPath}`);
+    return details;
+  }
 
-    // Build arguments with cookie support
-    const args = [
-      song.url,
-      '-f', 'bestaudio[ext=webm]/bestaudio/best',
-      '-o', '-', // Output to stdout
-      '--no-warnings',
-      // Try multiple player clients for better age restriction bypass
-      '--extractor-args', 'youtube:player_client=android,web_creator,web_embedded',
-      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      '--add-header', 'Accept-Language:en-US,en;q=0.9',
-      '--add-header', 'Sec-Fetch-Mode:navigate',
-      '--age-limit', '0', // Bypass age verification
-      '--no-check-certificate'
-    ];
+  // Start song's stream through ffmpeg, starting startSeconds in, and wait until it
+  // produces audio. Resolves with { song, stdout, processes, startSeconds, filter,
+  // normalization, source } without touching the player, so the next song can be
+  // opened while the current one is still playing.
+  async openStream(song, startSeconds = 0) {
+    const filter = this.filter;
+    const normalization = this.getNormalization(song);
+    // yt-dlp starts at the offset itself; SoundCloud streams are trimmed by ffmpeg
+    const isSoundCloud = song.url.includes('soundcloud.com');
+    const trimSeconds = isSoundCloud ? startSeconds : 0;
+    const ffmpeg = spawnTranscoder(trimSeconds, filter, normalization);
+    const processes = [ffmpeg];
+    let source;
+
+    if (isSoundCloud) {
+      // SoundCloud - use play-dl's native streaming
+      console.log('🎵 Using play-dl for SoundCloud streaming...');
 
-    // Use pre-initialized cookies
-    if (cookiePath) {
-      args.push('--cookies', cookiePath);
-    } else if (cookiesFromBrowser) {
-      args.push('--cookies-from-browser', cookiesFromBrowser);
+      try {
+        const stream = await play.stream(song.url);
+        stream.stream.pipe(ffmpeg.stdin);
+        ffmpeg.once('close', () => stream.stream.destroy());
+        source = 'SoundCloud';
+      } catch (error) {
+        console.error('SoundCloud streaming failed:', error);
+        killProcesses(processes);
+        throw new Error(`Failed to stream from SoundCloud: ${error.message}`);
+      }
+    } else {
+      // For YouTube and other sources, use yt-dlp
+      console.log('🎵 Using yt-dlp for streaming...');
+      console.log(`Platform: ${process.platform}, Using yt-dlp at: ${YTDLP_PATH}`);
+
+      // Build arguments with cookie support
+      const args = [
+        song.url,
+        '-f', 'bestaudio[ext=webm]/bestaudio/best',
+        '-o', '-', // Output to stdout
+        '--no-warnings',
+        // Try multiple player clients for better age restriction bypass
+        '--extractor-args', 'youtube:player_client=android,web_creator,web_embedded',
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--add-header', 'Sec-Fetch-Mode:navigate',
+        '--age-limit', '0', // Bypass age verification
+        '--no-check-certificate',
+        ...ytdlpSeekArgs(startSeconds)
+      ];
+
+      // Use pre-initialized cookies
+      if (cookiePath) {
+        args.push('--cookies', cookiePath);
+      } else if (cookiesFromBrowser) {
+        args.push('--cookies-from-browser', cookiesFromBrowser);
+      }
+
+      // Spawn yt-dlp to output audio to stdout, piped into ffmpeg
+      const { spawn } = await import('child_process');
+      const ytdlp = spawn(YTDLP_PATH, args);
+      ytdlp.stdout.pipe(ffmpeg.stdin);
+      processes.push(ytdlp);
+      source = 'yt-dlp';
     }
 
-    return new Promise((resolve, reject) => {
-      // Spawn yt-dlp to output audio to stdout
-      const ytdlp = spawn(ytdlpPath, args);
+    if (startSeconds > 0) {
+      console.log(`⏩ Starting at ${startSeconds.toFixed(1)}s`);
+    }
 
+    return new Promise((resolve, reject) => {
+      const [, ytdlp] = processes;
       let errorOutput = '';
       let hasResolved = false;
 
-      ytdlp.stderr.on('data', (data) => {
+      const fail = (error) => {
+        if (hasResolved) return;
+        hasResolved = true;
+        clearTimeout(timeout);
+        killProcesses(processes);
+        reject(error);
+      };
+
+      ytdlp?.stderr.on('data', (data) => {
         const message = data.toString();
         errorOutput += message;
         console.log('yt-dlp stderr:', message.trim());
       });
 
-      ytdlp.on('error', (err) => {
+      // Kept for errors and the loudness measurement, only logged on failure
+      ffmpeg.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      ytdlp?.on('error', (err) => {
         console.error('yt-dlp spawn error:', err);
-        if (!hasResolved) {
-          hasResolved = true;
-          return reject(new Error(`Failed to spawn yt-dlp: ${err.message}`));
-        }
+        metrics.recordYtdlpFailure('spawn');
+        fail(new Error(`Failed to spawn yt-dlp: ${err.message}`));
       });
 
-      ytdlp.on('close', (code) => {
+      ffmpeg.on('error', (err) => {
+        console.error('ffmpeg spawn error:', err);
+        fail(new Error(`Failed to spawn ffmpeg: ${err.message}`));
+      });
+
+      ytdlp?.on('close', (code) => {
         if (code !== 0 && code !== null && !hasResolved) {
           console.error('yt-dlp exited with code:', code);
           console.error('yt-dlp full stderr:', errorOutput);
-          hasResolved = true;
-          return reject(new Error(`yt-dlp exited with code ${code}: ${errorOutput}`));
+          metrics.recordYtdlpFailure(categorizeYtdlpError(errorOutput));
+          fail(new Error(`yt-dlp exited with code ${code}: ${errorOutput}`));
         }
       });
 
-      // Wait a moment for yt-dlp to start outputting data
-      ytdlp.stdout.once('readable', () => {
-        try {
-          if (hasResolved) return;
-          hasResolved = true;
+      ffmpeg.on('close', (code) => {
+        if (!hasResolved) {
+          console.error('ffmpeg full stderr:', errorOutput);
+          fail(new Error(`ffmpeg exited with code ${code} before producing audio: ${errorOutput || 'No error output'}`));
+          return;
+        }
 
-          // Create audio resource from yt-dlp's stdout stream
-          const resource = createAudioResource(ytdlp.stdout, {
-            inlineVolume: true,
-            inputType: StreamType.Arbitrary
-          });
+        // null when it was killed for a skip or seek
+        if (code !== 0 && code !== null) {
+          console.error(`ffmpeg exited with code ${code}:`, errorOutput);
+        }
 
-          this.player.play(resource);
-          console.log('✓ Streaming audio from yt-dlp');
-          resolve();
-        } catch (error) {
-          if (!hasResolved) {
-            hasResolved = true;
-            reject(new Error(`Failed to create audio resource: ${error.message}`));
-          }
+        // Only a stream that ran from the start to the end measured the whole song
+        if (code === 0 && normalization?.measure && startSeconds === 0) {
+          this.saveLoudnessMeasurement(song, errorOutput);
         }
       });
 
-      // Timeout after 15 seconds if no data received (increased from 10)
+      // Wait for ffmpeg to start outputting audio
+      ffmpeg.stdout.once('readable', () => {
+        if (hasResolved) return;
+        hasResolved = true;
+        clearTimeout(timeout);
+        resolve({ song, stdout: ffmpeg.stdout, processes, startSeconds, filter, normalization, source });
+      });
+
+      // Timeout after 15 seconds if no data received. When ffmpeg trims, it has to
+      // read through the source up to the offset first, so allow extra time for that.
+      const timeoutMs = 15000 + trimSeconds * 50;
       const timeout = setTimeout(() => {
         if (!hasResolved) {
-          console.error('yt-dlp timeout after 15 seconds');
+          console.error(`Stream timeout after ${timeoutMs / 1000} seconds`);
           console.error('Last stderr output:', errorOutput);
-          hasResolved = true;
-          ytdlp.kill();
-          reject(new Error(`yt-dlp timeout - no audio data received. Error: ${errorOutput || 'No error output'}`));
+          if (ytdlp) {
+            metrics.recordYtdlpFailure('timeout');
+          }
+          fail(new Error(`Stream timeout - no audio data received. Error: ${errorOutput || 'No error output'}`));
         }
-      }, 15000);
-
-      // Clear timeout if we successfully start playing
-      ytdlp.stdout.once('readable', () => {
-        clearTimeout(timeout);
-      });
+      }, timeoutMs);
     });
   }
 
-  async playNext() {
-    // Fade out current song if playing
-    if (this.isPlaying && this.currentSong) {
-      console.log('Fading out current song...');
-      await this.fadeOutAndSkip();
-      // Small delay to allow the fade to complete smoothly
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+  // Play song from startSeconds on a fresh mixer. The player only switches to the
+  // new stream once it produces audio, so during a seek the old stream keeps
+  // playing until then, and a failed seek leaves it untouched.
+  async playWithLocalStream(song, startSeconds = 0, prefetched = null) {
+    const generation = ++this.streamGeneration;
+    this.cancelPrefetch();
 
-    if (this.queue.length > 0) {
-      const nextSong = this.queue.shift();
-      console.log(`Playing next song from queue. Remaining in queue: ${this.queue.length}`);
-      await this.playSong(nextSong);
-    } else if (this.radioMode) {
-      console.log('Queue empty, playing radio song...');
-      // Discovery mode: alternate between known songs and discoveries
-      if (this.discoveryMode && Math.random() < 0.3) { // 30% chance for discovery
-        await this.playDiscoverySong();
-      } else {
-        await this.playRadioSong();
-      }
-    } else {
-      this.currentSong = null;
-      console.log('Queue empty and radio mode off');
-      if (this.textChannel) {
-        this.textChannel.send('Queue is empty! Add more songs with `/play` or enable radio mode with `/radio on`').catch(console.error);
-      }
+    const stream = prefetched || await this.openStream(song, startSeconds);
+
+    // A newer seek or song started while this one was loading
+    if (generation !== this.streamGeneration) {
+      killProcesses(stream.processes);
+      const error = new Error('Stream was superseded by a newer request');
+      error.code = STREAM_SUPERSEDED;
+      throw error;
     }
-  }
 
-  async playRadioSong() {
+    const mixer = new PcmMixer();
+    let input;
+    let resource;
+
     try {
-      this.updateActiveUsers();
-      const userIds = Array.from(this.activeUsers);
+      input = mixer.addInput(stream.stdout, { onRemoved: ({ drained }) => this.releaseStream(stream, drained) });
+      resource = createAudioResource(mixer, {
+        inlineVolume: true,
+        inputType: StreamType.Raw
+      });
+    } catch (error) {
+      mixer.destroy();
+      throw new Error(`Failed to create audio resource: ${error.message}`);
+    }
+    resource.volume.setVolume(0); // Silent until fadeIn() ramps it up
 
-      if (userIds.length === 0) {
-        if (this.textChannel) {
-          this.textChannel.send('No users in voice channel. Radio mode paused.').catch(console.error);
-        }
-        return;
-      }
+    this.player.play(resource);
 
-      const songs = getMultipleUsersSongs(userIds, 100);
+    const previousMixer = this.mixer;
+    this.mixer = mixer;
+    this.setActiveStream(stream, input);
+    previousMixer?.destroy();
 
-      if (songs.length === 0) {
-        if (this.textChannel) {
-          this.textChannel.send('No songs in radio database yet! Request some songs first with `/play`').catch(console.error);
-        }
-        this.radioMode = false;
-        return;
-      }
+    console.log(`✓ Streaming audio from ${stream.source}`);
+  }
 
-      console.log(`\n=== Radio Selection Debug ===`);
-      console.log(`Total songs in library: ${songs.length}`);
-      console.log(`Recent history size: ${this.recentlyPlayed.length} songs, ${this.recentArtists.length} artists`);
+  // Point position tracking at the stream now playing the current song
+  setActiveStream(stream, input) {
+    this.mixerInput = input;
+    this.playbackOffset = stream.startSeconds;
+    this.playbackSpeed = stream.filter?.speed || 1;
+    this.normalization = stream.normalization;
+  }
 
-      // Adaptive history size based on library size
-      const maxHistorySize = Math.min(Math.floor(songs.length * 0.6), 50); // Up to 60% of library or 50 songs
-      const maxArtistHistory = Math.min(Math.floor(songs.length * 0.15), 10); // Up to 15% or 10 artists
+  // Called when a stream leaves the mixer. A drained stream (the outgoing side of
+  // a crossfade) is given time to finish, so a loudness measurement can complete.
+  releaseStream(stream, drained = false) {
+    if (!drained) {
+      killProcesses(stream.processes);
+      return;
+    }
+    setTimeout(() => killProcesses(stream.processes), DRAINED_STREAM_TIMEOUT).unref();
+  }
 
-      // Filter out recently played songs
-      const recentUrls = new Set(this.recentlyPlayed);
-      let availableSongs = songs.filter(song => !recentUrls.has(song.song_url));
+  releaseMixer() {
+    this.mixer?.destroy();
+    this.mixer = null;
+    this.mixerInput = null;
+  }
 
-      console.log(`After filtering recent songs: ${availableSongs.length} available`);
+  // Loudness normalization for a stream: the cached gain if the song has been
+  // measured before, otherwise measure it with loudnorm while it plays
+  getNormalization(song) {
+    if (!getSetting(this.guildId, 'normalize_loudness')) return null;
 
-      // Only apply artist filtering if we have enough songs left
-      let diverseSongs = availableSongs;
+    const loudness = getTrackLoudness(song.url);
+    return loudness ? { gainDb: loudness.gain_db } : { measure: true };
+  }
 
-      // Only filter by artist if we have at least 20% of library available after song filtering
-      if (availableSongs.length >= Math.max(songs.length * 0.2, 10)) {
-        const recentArtistSet = new Set(this.recentArtists);
-        const artistFiltered = availableSongs.filter(song =>
-          !recentArtistSet.has(song.song_artist) || song.song_artist === 'Unknown'
-        );
+  saveLoudnessMeasurement(song, ffmpegOutput) {
+    const stats = parseLoudnormStats(ffmpegOutput);
+    if (!stats) {
+      console.log(`Could not measure loudness of ${song.title}`);
+      return;
+    }
 
-        // Only use artist filtering if it leaves us with at least 30% of available songs
-        if (artistFiltered.length >= availableSongs.length * 0.3) {
-          diverseSongs = artistFiltered;
-          console.log(`After filtering recent artists: ${diverseSongs.length} available`);
-        } else {
-          console.log(`Skipping artist filter (would leave only ${artistFiltered.length} songs)`);
-        }
-      } else {
-        console.log(`Skipping artist filter (only ${availableSongs.length} songs available)`);
+    const gainDb = calculateNormalizationGain(stats.integrated);
+    saveTrackLoudness(song.url, stats.integrated, stats.truePeak, gainDb);
+    console.log(`📶 Measured ${song.title}: ${stats.integrated} LUFS, gain ${gainDb.toFixed(1)} dB from next play`);
+  }
+
+  stopStream() {
+    this.streamGeneration++;
+    this.cancelPrefetch();
+    this.releaseMixer();
+  }
+
+  // Seconds into the current song: where its stream started plus how much of it
+  // has played. The mixer may have been running before the song's input joined it
+  // (crossfades), so only the audio since the input's start byte counts.
+  getPlaybackPosition(resource = this.player.state.resource) {
+    if (!resource || !this.mixerInput) return this.playbackOffset;
+
+    const playedBytes = (resource.playbackDuration / 1000) * BYTES_PER_SECOND;
+    const songSeconds = Math.max(0, playedBytes - this.mixerInput.startByte) / BYTES_PER_SECOND;
+    return this.playbackOffset + songSeconds * this.playbackSpeed;
+  }
+
+  // Whatever plays next - the next queued song, or a radio pick when the queue is
+  // empty - is chosen, looked up and its stream opened while the current song is
+  // still playing. Near the end the current song crossfades into it; if playback
+  // gets to playNext() first (skips, errors), playNext() uses it when it still
+  // applies and drops it otherwise.
+  startPrefetchMonitor() {
+    this.stopPrefetchMonitor();
+    this.prefetchInterval = setInterval(() => this.checkPrefetch(), PREFETCH_CHECK_INTERVAL);
+  }
+
+  stopPrefetchMonitor() {
+    if (this.prefetchInterval) {
+      clearInterval(this.prefetchInterval);
+      this.prefetchInterval = null;
+    }
+  }
+
+  checkPrefetch() {
+    const song = this.currentSong;
+    if (!song?.duration || !this.mixer) return;
+    if (this.player.state.status !== AudioPlayerStatus.Playing) return;
+
+    // Track loop replays the song through playNext()
+    if (this.loopMode === 'track') {
+      this.cancelPrefetch();
+      return;
+    }
+
+    if (this.prefetch && !this.isPrefetchCurrent(this.prefetch)) {
+      this.cancelPrefetch();
+    }
+
+    const windowSeconds = this.crossfadeDuration / 1000;
+    const remaining = (song.duration - this.getPlaybackPosition()) / this.playbackSpeed;
+
+    if (!this.prefetch) {
+      if (remaining <= windowSeconds + PREFETCH_LEAD_SECONDS && this.hasPrefetchableNext(song)) {
+        this.prefetchNextSong(song);
       }
+      return;
+    }
 
-      // Smart history management
-      let justCleared = false;
-      if (diverseSongs.length === 0) {
-        console.log('No songs available after filtering, resetting history...');
-        justCleared = true;
+    if (this.prefetch.stream && remaining <= windowSeconds) {
+      this.startCrossfade();
+    }
+  }
 
-        // Keep only the most recent 20% to prevent immediate repeats
-        const keepRecent = Math.max(3, Math.floor(this.recentlyPlayed.length * 0.2));
-        this.recentlyPlayed = this.recentlyPlayed.slice(-keepRecent);
-        this.recentArtists = this.recentArtists.slice(-2); // Keep only last 2 artists
+  // Whether the song after currentSong is known ahead of time
+  hasPrefetchableNext(currentSong) {
+    if (this.queue.length > 0) return true;
 
-        console.log(`Trimmed history to ${this.recentlyPlayed.length} songs, ${this.recentArtists.length} artists`);
+    // Queue loop requeues the current song and plays it again, that isn't prefetched
+    const isAutoPick = ['radio', 'discovery'].includes(currentSong.requestedBy.id);
+    if (this.loopMode === 'queue' && !isAutoPick) return false;
 
-        // Re-filter with trimmed history
-        const recentUrlsAfterTrim = new Set(this.recentlyPlayed);
-        availableSongs = songs.filter(song => !recentUrlsAfterTrim.has(song.song_url));
+    return this.radioMode;
+  }
+
+  // A prefetch is still current while its song is what would play next
+  isPrefetchCurrent(prefetch) {
+    if (this.currentSong !== prefetch.fromSong) return false;
+    if (prefetch.fromQueue) return this.queue[0] === prefetch.song;
+    return this.queue.length === 0 && this.radioMode;
+  }
 
-        // Skip artist filtering after reset for more variety
-        diverseSongs = availableSongs;
+  prefetchNextSong(fromSong) {
+    const fromQueue = this.queue.length > 0;
+    const prefetch = { fromSong, fromQueue, song: fromQueue ? this.queue[0] : null, stream: null, cancelled: false };
+    this.prefetch = prefetch;
+
+    // Resolves to the stream, or null if loading failed or the prefetch was
+    // cancelled. A failed prefetch stays in place so it isn't retried every check.
+    prefetch.loading = (async () => {
+      // The pick only takes effect if it's played, see applyRadioPick()
+      if (!prefetch.song) {
+        const pick = await this.pickAutoSong();
+        if (!pick.song || prefetch.cancelled) return null;
+        prefetch.pick = pick;
+        prefetch.song = pick.song;
+      }
 
-        console.log(`After trimming: ${diverseSongs.length} songs available`);
+      console.log(`Prefetching next song: ${prefetch.song.title}`);
+      await this.fillSongDetails(prefetch.song);
+      if (prefetch.cancelled) return null;
 
-        // If still nothing (shouldn't happen), clear completely
-        if (diverseSongs.length === 0) {
-          console.log('Still no options, clearing all history');
-          this.recentlyPlayed = [];
-          this.recentArtists = [];
-          diverseSongs = songs;
-        }
+      const stream = await this.openStream(prefetch.song, prefetch.song.startAt || 0);
+      if (prefetch.cancelled) {
+        killProcesses(stream.processes);
+        return null;
       }
+      prefetch.stream = stream;
+      return stream;
+    })().catch(error => {
+      console.log(`Could not prefetch ${prefetch.song?.title || 'next song'}: ${error.message}`);
+      return null;
+    });
+  }
+
+  cancelPrefetch() {
+    const prefetch = this.prefetch;
+    if (!prefetch) return;
 
-      let randomSong;
+    this.prefetch = null;
+    prefetch.cancelled = true;
+    if (prefetch.stream) {
+      killProcesses(prefetch.stream.processes);
+    }
+  }
 
-      // More aggressive variety boost after clearing or when pool is small
-      const useUniformRandom = justCleared || (diverseSongs.length < songs.length * 0.5);
+  // Hand the prefetch to playNext() if it's for what plays next: queueSong, the
+  // song just taken off the queue, or a radio pick when queueSong is null. Waits
+  // for a prefetch that is still loading. Resolves to { song, stream, pick } -
+  // stream is null if it failed to load, pick is set for radio picks - or null
+  // when there's nothing to use.
+  async takePrefetch(queueSong) {
+    const prefetch = this.prefetch;
+    if (!prefetch) return null;
+
+    const matches = queueSong ? prefetch.song === queueSong : !prefetch.fromQueue;
+    if (!matches) {
+      this.cancelPrefetch();
+      return null;
+    }
 
-      if (useUniformRandom && Math.random() < 0.5) {
-        // 50% chance: completely uniform random selection
-        randomSong = diverseSongs[Math.floor(Math.random() * diverseSongs.length)];
-        console.log('Selection method: Uniform random (for variety)');
-      } else {
-        // Optimized weighted selection using cumulative weights
-        const weights = diverseSongs.map(song => {
-          // Logarithmic scaling to reduce repeat bias
-          const userWeight = Math.ceil(Math.log2(song.user_count + 1));
-          const requestWeight = Math.ceil(Math.log2(song.total_requests + 1));
-          return Math.max(1, Math.min(userWeight + requestWeight, 5)); // Cap at 5
-        });
+    this.prefetch = null;
+    const stream = await prefetch.loading;
+    return prefetch.song ? { song: prefetch.song, stream, pick: prefetch.pick } : null;
+  }
 
-        // Build cumulative weight array
-        const cumulativeWeights = [];
-        let totalWeight = 0;
-        for (const weight of weights) {
-          totalWeight += weight;
-          cumulativeWeights.push(totalWeight);
-        }
+  // Overlap the current song with the prefetched one: the next stream joins the
+  // mixer and fades in while the current one fades out
+  startCrossfade() {
+    const { fromSong, fromQueue, song: nextSong, stream, pick } = this.prefetch;
 
-        // Binary search for weighted random selection
-        const random = Math.random() * totalWeight;
-        let left = 0;
-        let right = cumulativeWeights.length - 1;
-
-        while (left < right) {
-          const mid = Math.floor((left + right) / 2);
-          if (cumulativeWeights[mid] < random) {
-            left = mid + 1;
-          } else {
-            right = mid;
-          }
-        }
+    if (this.mixer.outputEnded) {
+      this.cancelPrefetch();
+      return;
+    }
 
-        randomSong = diverseSongs[left];
-        console.log('Selection method: Weighted random (optimized binary search)');
+    this.prefetch = null;
+    if (fromQueue) {
+      this.queue.shift();
+      delete nextSong.startAt;
+    } else {
+      this.applyRadioPick(pick);
+    }
+    this.recordFinishedSong(fromSong);
+
+    console.log(`🔀 Crossfading into ${nextSong.title}`);
+    this.mixer.fade(this.mixerInput, 0, this.crossfadeDuration, { remove: true, drain: true });
+    const input = this.mixer.addInput(stream.stdout, {
+      fadeInMs: this.crossfadeDuration,
+      onRemoved: ({ drained }) => this.releaseStream(stream, drained)
+    });
+
+    this.currentSong = nextSong;
+    this.setActiveStream(stream, input);
+    this.retryCount = 0;
+
+    // Listeners heard no gap at all
+    metrics.recordSongLoadTime(0);
+    metrics.incrementSongsPlayed();
+
+    this.announceSong(nextSong).catch(console.error);
+  }
+
+  // Restart the current song at the given position (seconds), fading back in.
+  // Returns the position actually used.
+  async seek(seconds) {
+    const song = this.currentSong;
+
+    if (!song || !this.isPlaying) {
+      throw new Error('Nothing is currently playing!');
+    }
+    if (!song.duration) {
+      throw new Error('Can\'t seek in a live stream or a song with unknown length');
+    }
+
+    const target = Math.max(0, Math.min(seconds, song.duration - 1));
+    console.log(`Seeking ${song.title} to ${target}s`);
+
+    await this.playWithLocalStream(song, target);
+    await this.fadeIn();
+    this.refreshNowPlayingMessage();
+
+    return target;
+  }
+
+  // Switch the audio filter (null turns it off). A playing song restarts with the
+  // new filter at its current position.
+  async setFilter(filter) {
+    this.filter = filter;
+    console.log(`🎛️ Filter set to ${filter?.label || 'off'}`);
+
+    const song = this.currentSong;
+    if (song && this.isPlaying) {
+      await this.playWithLocalStream(song, song.duration ? this.getPlaybackPosition() : 0);
+      await this.fadeIn();
+    }
+
+    this.refreshNowPlayingMessage();
+  }
+
+  // Keep the progress bar on the now-playing message moving
+  startProgressUpdates() {
+    this.stopProgressUpdates();
+    this.progressInterval = setInterval(() => {
+      if (this.player.state.status === AudioPlayerStatus.Playing) {
+        this.refreshNowPlayingMessage();
+        this.writeSnapshot(false); // Keep the saved position roughly current
       }
+    }, PROGRESS_REFRESH_INTERVAL);
+  }
 
-      const radioSong = {
-        url: randomSong.song_url,
-        title: randomSong.song_title,
-        artist: randomSong.song_artist || 'Unknown',
-        requestedBy: { id: 'radio', name: 'Radio Station' }
-      };
+  stopProgressUpdates() {
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+  }
 
-      // Add to recently played history with adaptive size
-      this.recentlyPlayed.push(randomSong.song_url);
-      while (this.recentlyPlayed.length > maxHistorySize) {
-        this.recentlyPlayed.shift();
+  async playNext() {
+    const finishedSong = this.currentSong;
+    const wasSkipped = this.skipRequested;
+    const failed = this.songFailed;
+    const wentBack = this.previousRequested;
+    this.skipRequested = false;
+    this.songFailed = false;
+    this.previousRequested = false;
+
+    // Fade out current song if playing
+    if (this.isPlaying && this.currentSong) {
+      console.log('Fading out current song...');
+      await this.fadeOutAndSkip();
+      // Small delay to allow the fade to complete smoothly
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // Going back already requeued the song we left, so it isn't recorded or looped.
+    // Loop modes never bring back a song that failed to play.
+    if (finishedSong && !failed && !wentBack) {
+      if (this.loopMode === 'track' && !wasSkipped) {
+        this.cancelPrefetch();
+        this.addToSessionHistory(finishedSong);
+        console.log(`🔂 Repeating track: ${finishedSong.title}`);
+        await this.playSong(finishedSong);
+        return;
       }
 
-      // Track recent artists with adaptive size
-      if (randomSong.song_artist && randomSong.song_artist !== 'Unknown') {
-        this.recentArtists.push(randomSong.song_artist);
-        while (this.recentArtists.length > maxArtistHistory) {
-          this.recentArtists.shift();
-        }
+      this.recordFinishedSong(finishedSong);
+    }
+
+    if (this.queue.length > 0) {
+      const nextSong = this.queue.shift();
+      console.log(`Playing next song from queue. Remaining in queue: ${this.queue.length}`);
+
+      // A /play URL's t= offset only applies the first time the song plays
+      const startAt = nextSong.startAt || 0;
+      delete nextSong.startAt;
+
+      // The song may already be loading, prefetched for a crossfade that didn't get to start
+      const prefetched = await this.takePrefetch(nextSong);
+      await this.playSong(nextSong, startAt, prefetched?.stream);
+    } else if (this.radioMode) {
+      const prefetched = await this.takePrefetch(null);
+      if (prefetched) {
+        console.log(`Queue empty, playing prefetched radio song: ${prefetched.song.title}`);
+        this.applyRadioPick(prefetched.pick);
+        await this.playSong(prefetched.song, 0, prefetched.stream);
+        return;
       }
 
-      console.log(`Selected: "${radioSong.title}" by ${radioSong.artist}`);
-      console.log(`Updated history: ${this.recentlyPlayed.length}/${maxHistorySize} songs, ${this.recentArtists.length}/${maxArtistHistory} artists`);
-      console.log(`=== End Debug ===\n`);
+      console.log('Queue empty, playing radio song...');
+      // Discovery mode: alternate between known songs and discoveries
+      if (this.discoveryMode && Math.random() < this.discoveryChance) {
+        await this.playDiscoverySong();
+      } else {
+        await this.playRadioSong();
+      }
+    } else {
+      this.cancelPrefetch();
+      this.currentSong = null;
+      this.silentSince = null; // Nothing is waiting to play
+      this.saveSnapshot();
+      this.emit('stopped');
+      console.log('Queue empty and radio mode off');
+      if (this.textChannel) {
+        this.textChannel.send('Queue is empty! Add more songs with `/play` or enable radio mode with `/radio on`').catch(console.error);
+      }
+    }
+  }
+
+  // A song that played through goes into the session history, and back onto the
+  // queue in queue loop mode
+  recordFinishedSong(song) {
+    this.addToSessionHistory(song);
 
-      await this.playSong(radioSong);
+    // Radio and discovery picks aren't requeued - radio keeps choosing fresh songs
+    const isAutoPick = ['radio', 'discovery'].includes(song.requestedBy.id);
+    if (this.loopMode === 'queue' && !isAutoPick) {
+      this.queue.push(song);
+    }
+  }
+
+  async playRadioSong() {
+    try {
+      const pick = await this.pickRadioSong();
+      if (pick.song) {
+        this.applyRadioPick(pick);
+        await this.playSong(pick.song);
+      } else {
+        this.reportNoRadioPick(pick.reason);
+        this.silentSince = null; // Radio stopped, nothing is waiting to play
+      }
     } catch (error) {
       console.error('Error playing radio song:', error);
       if (this.textChannel) {
@@ -1066,86 +1531,272 @@ export class MusicQueue {
     }
   }
 
-  async playDiscoverySong() {
-    try {
-      this.updateActiveUsers();
-      const userIds = Array.from(this.activeUsers);
-
-      if (userIds.length === 0) {
-        console.log('No users for discovery mode');
-        return this.playRadioSong();
+  // Next radio or discovery pick, without playing it. Used to prefetch while the
+  // current song is still playing.
+  async pickAutoSong() {
+    if (this.discoveryMode && Math.random() < this.discoveryChance) {
+      try {
+        return await this.pickDiscoverySong();
+      } catch (error) {
+        console.error('Error in discovery mode:', error);
       }
+    }
+    return this.pickRadioSong();
+  }
 
-      // Get user's existing songs to find similar content
-      const songs = getMultipleUsersSongs(userIds, 50);
+  // A radio pick is chosen ahead of time for prefetching, so picking has no side
+  // effects. This records it once the song actually plays: the recent song and
+  // artist history it was picked against, and the dashboard's selection details.
+  applyRadioPick(pick) {
+    if (!pick) return;
+    if (pick.history) {
+      this.recentlyPlayed = pick.history.recentlyPlayed;
+      this.recentArtists = pick.history.recentArtists;
+    }
+    if (pick.selection) {
+      this.lastRadioSelection = pick.selection;
+    }
+  }
 
-      if (songs.length === 0) {
-        console.log('No songs to base discovery on, falling back to radio');
-        return this.playRadioSong();
-      }
+  // Tell the channel why radio has nothing to play. An empty or fully 👎
+  // library turns radio mode off.
+  reportNoRadioPick(reason) {
+    const messages = {
+      noListeners: 'No users in voice channel. Radio mode paused.',
+      emptyLibrary: 'No songs in radio database yet! Request some songs first with `/play`',
+      allDisliked: 'Every song in the radio library has been 👎 by the current listeners! Request some new songs with `/play`'
+    };
+
+    if (this.textChannel) {
+      this.textChannel.send(messages[reason]).catch(console.error);
+    }
+    if (reason !== 'noListeners') {
+      this.radioMode = false;
+    }
+  }
 
-      // Pick a random song from their library as a seed
-      const seedSong = songs[Math.floor(Math.random() * songs.length)];
-      console.log(`🔍 Discovery mode: Using "${seedSong.song_title}" as seed`);
-
-      // Build a search query based on the seed song
-      // Extract artist name or use title keywords
-      let searchQuery;
-      if (seedSong.song_artist && seedSong.song_artist !== 'Unknown') {
-        // Search for similar songs by the same artist or genre
-        const randomStrategy = Math.random();
-        if (randomStrategy < 0.4) {
-          searchQuery = `${seedSong.song_artist} similar songs`;
-        } else if (randomStrategy < 0.7) {
-          searchQuery = `${seedSong.song_artist} best songs`;
-        } else {
-          searchQuery = `songs like ${seedSong.song_title}`;
-        }
+  // Choose a song for the current audience from their libraries. Resolves to
+  // { song, history, selection } for applyRadioPick(), or to { song: null, reason }
+  // when there's nothing to pick from (see reportNoRadioPick()).
+  async pickRadioSong() {
+    this.updateActiveUsers();
+    const userIds = Array.from(this.activeUsers);
+
+    if (userIds.length === 0) {
+      return { song: null, reason: 'noListeners' };
+    }
+
+    const librarySongs = getMultipleUsersSongs(this.guildId, userIds, 100);
+
+    if (librarySongs.length === 0) {
+      return { song: null, reason: 'emptyLibrary' };
+    }
+
+    // Ratings from the current audience: ban heavily disliked songs, weight the rest
+    const ratings = new Map(getAudienceRatings(this.guildId, userIds).map(row => [row.song_url, row]));
+    const songs = librarySongs.filter(song => !this.isBannedByAudience(ratings.get(song.song_url), userIds.length));
+
+    console.log(`\n=== Radio Selection Debug ===`);
+    console.log(`Total songs in library: ${librarySongs.length}`);
+    console.log(`Audience ratings: ${ratings.size} rated, ${librarySongs.length - songs.length} banned by 👎`);
+
+    if (songs.length === 0) {
+      console.log(`=== End Debug ===\n`);
+      return { song: null, reason: 'allDisliked' };
+    }
+
+    // Working copies, applied by applyRadioPick() if the song plays
+    let recentlyPlayed = [...this.recentlyPlayed];
+    let recentArtists = [...this.recentArtists];
+    console.log(`Recent history size: ${recentlyPlayed.length} songs, ${recentArtists.length} artists`);
+
+    // Adaptive history size based on library size
+    const maxHistorySize = Math.min(Math.floor(songs.length * 0.6), 50); // Up to 60% of library or 50 songs
+    const maxArtistHistory = Math.min(Math.floor(songs.length * 0.15), 10); // Up to 15% or 10 artists
+
+    // Filter out recently played songs
+    const recentUrls = new Set(recentlyPlayed);
+    let availableSongs = songs.filter(song => !recentUrls.has(song.song_url));
+
+    console.log(`After filtering recent songs: ${availableSongs.length} available`);
+
+    // Only apply artist filtering if we have enough songs left
+    let diverseSongs = availableSongs;
+
+    // Only filter by artist if we have at least 20% of library available after song filtering
+    if (availableSongs.length >= Math.max(songs.length * 0.2, 10)) {
+      const recentArtistSet = new Set(recentArtists);
+      const artistFiltered = availableSongs.filter(song =>
+        !recentArtistSet.has(song.song_artist) || song.song_artist === 'Unknown'
+      );
+
+      // Only use artist filtering if it leaves us with at least 30% of available songs
+      if (artistFiltered.length >= availableSongs.length * 0.3) {
+        diverseSongs = artistFiltered;
+        console.log(`After filtering recent artists: ${diverseSongs.length} available`);
       } else {
-        // Use title-based search
-        searchQuery = `songs like ${seedSong.song_title}`;
+        console.log(`Skipping artist filter (would leave only ${artistFiltered.length} songs)`);
       }
+    } else {
+      console.log(`Skipping artist filter (only ${availableSongs.length} songs available)`);
+    }
 
-      console.log(`🔍 Discovery search query: "${searchQuery}"`);
+    // Smart history management
+    let justCleared = false;
+    if (diverseSongs.length === 0) {
+      console.log('No songs available after filtering, resetting history...');
+      justCleared = true;
 
-      // Search YouTube for related content
-      const searchResults = await play.search(searchQuery, { limit: 10 });
+      // Keep only the most recent 20% to prevent immediate repeats
+      const keepRecent = Math.max(3, Math.floor(recentlyPlayed.length * 0.2));
+      recentlyPlayed = recentlyPlayed.slice(-keepRecent);
+      recentArtists = recentArtists.slice(-2); // Keep only last 2 artists
 
-      if (searchResults.length === 0) {
-        console.log('No discovery results, falling back to radio');
-        return this.playRadioSong();
+      console.log(`Trimmed history to ${recentlyPlayed.length} songs, ${recentArtists.length} artists`);
+
+      // Re-filter with trimmed history
+      const recentUrlsAfterTrim = new Set(recentlyPlayed);
+      availableSongs = songs.filter(song => !recentUrlsAfterTrim.has(song.song_url));
+
+      // Skip artist filtering after reset for more variety
+      diverseSongs = availableSongs;
+
+      console.log(`After trimming: ${diverseSongs.length} songs available`);
+
+      // If still nothing (shouldn't happen), clear completely
+      if (diverseSongs.length === 0) {
+        console.log('Still no options, clearing all history');
+        recentlyPlayed = [];
+        recentArtists = [];
+        diverseSongs = songs;
+      }
+    }
+
+    let randomSong;
+    let selectionMethod;
+
+    // More aggressive variety boost after clearing or when pool is small
+    const useUniformRandom = justCleared || (diverseSongs.length < songs.length * 0.5);
+
+    if (useUniformRandom && Math.random() < 0.5) {
+      // 50% chance: uniform random selection, skipping downvoted songs when possible
+      const notDownvoted = diverseSongs.filter(song => this.getRatingMultiplier(ratings.get(song.song_url)) >= 1);
+      const uniformPool = notDownvoted.length > 0 ? notDownvoted : diverseSongs;
+      randomSong = uniformPool[Math.floor(Math.random() * uniformPool.length)];
+      selectionMethod = 'uniform';
+      console.log(`Selection method: Uniform random (for variety, ${uniformPool.length} not downvoted)`);
+    } else {
+      // Optimized weighted selection using cumulative weights
+      const multipliers = diverseSongs.map(song => this.getRatingMultiplier(ratings.get(song.song_url)));
+      const weights = diverseSongs.map((song, i) => {
+        // Logarithmic scaling to reduce repeat bias
+        const userWeight = Math.ceil(Math.log2(song.user_count + 1));
+        const requestWeight = Math.ceil(Math.log2(song.total_requests + 1));
+        const baseWeight = Math.max(1, Math.min(userWeight + requestWeight, 5)); // Cap at 5
+        return baseWeight * multipliers[i];
+      });
+
+      const boosted = multipliers.filter(m => m > 1).length;
+      const suppressed = multipliers.filter(m => m < 1).length;
+      console.log(`Rating weights: ${boosted} boosted by 👍, ${suppressed} suppressed by 👎`);
+
+      // Build cumulative weight array
+      const cumulativeWeights = [];
+      let totalWeight = 0;
+      for (const weight of weights) {
+        totalWeight += weight;
+        cumulativeWeights.push(totalWeight);
       }
 
-      // Filter out songs already in the user's library
-      const knownUrls = new Set(songs.map(s => s.song_url));
-      const newSongs = searchResults.filter(result => !knownUrls.has(result.url));
+      // Binary search for weighted random selection
+      const random = Math.random() * totalWeight;
+      let left = 0;
+      let right = cumulativeWeights.length - 1;
 
-      if (newSongs.length === 0) {
-        console.log('All results already known, falling back to radio');
-        return this.playRadioSong();
+      while (left < right) {
+        const mid = Math.floor((left + right) / 2);
+        if (cumulativeWeights[mid] < random) {
+          left = mid + 1;
+        } else {
+          right = mid;
+        }
       }
 
-      // Pick a random new song from the results
-      const discoveredVideo = newSongs[Math.floor(Math.random() * newSongs.length)];
+      randomSong = diverseSongs[left];
+      selectionMethod = 'weighted';
+      console.log(`Selection method: Weighted random (optimized binary search, weight ${weights[left].toFixed(2)} of ${totalWeight.toFixed(2)})`);
+    }
 
-      const discoverySong = {
-        url: discoveredVideo.url,
-        title: discoveredVideo.title,
-        artist: discoveredVideo.channel?.name || 'Unknown',
-        requestedBy: { id: 'discovery', name: '🔍 Discovery Mode' }
-      };
+    const selectedRating = ratings.get(randomSong.song_url);
+    if (selectedRating) {
+      console.log(`Selected song ratings: 👍 ${selectedRating.likes} / 👎 ${selectedRating.dislikes}`);
+    }
 
-      console.log(`🔍 Playing discovery: ${discoverySong.title}`);
+    const radioSong = {
+      url: randomSong.song_url,
+      title: randomSong.song_title,
+      artist: randomSong.song_artist || 'Unknown',
+      requestedBy: { id: 'radio', name: 'Radio Station' }
+    };
+
+    // Add to recently played history with adaptive size
+    recentlyPlayed.push(randomSong.song_url);
+    while (recentlyPlayed.length > maxHistorySize) {
+      recentlyPlayed.shift();
+    }
 
-      if (this.textChannel) {
-        const embed = createInfoEmbed(
-          '🔍 Discovery Mode',
-          `Found something new based on **${seedSong.song_title}**!\n\n**${discoverySong.title}**\n\n👍 React to add it to your library!`
-        );
-        this.textChannel.send({ embeds: [embed] }).catch(console.error);
+    // Track recent artists with adaptive size
+    if (randomSong.song_artist && randomSong.song_artist !== 'Unknown') {
+      recentArtists.push(randomSong.song_artist);
+      while (recentArtists.length > maxArtistHistory) {
+        recentArtists.shift();
       }
+    }
+
+    console.log(`Selected: "${radioSong.title}" by ${radioSong.artist}`);
+    console.log(`History after this pick: ${recentlyPlayed.length}/${maxHistorySize} songs, ${recentArtists.length}/${maxArtistHistory} artists`);
+    console.log(`=== End Debug ===\n`);
+
+    const selection = {
+      at: Date.now(),
+      song: radioSong,
+      listeners: userIds.length,
+      librarySize: librarySongs.length,
+      bannedByRatings: librarySongs.length - songs.length,
+      candidates: diverseSongs.length,
+      method: selectionMethod,
+      likes: selectedRating?.likes ?? 0,
+      dislikes: selectedRating?.dislikes ?? 0
+    };
+
+    return { song: radioSong, history: { recentlyPlayed, recentArtists }, selection };
+  }
+
+  // Weight multiplier from the current audience's ratings (1 = neutral)
+  getRatingMultiplier(rating) {
+    if (!rating) return 1;
+    const boost = 1 + rating.likes * RATING_LIKE_BOOST;
+    const penalty = Math.pow(RATING_DISLIKE_PENALTY, rating.dislikes);
+    return boost * penalty;
+  }
+
+  // A song is banned when dislikes outweigh likes and either enough listeners
+  // disliked it or every listener present did
+  isBannedByAudience(rating, listenerCount) {
+    if (!rating || rating.dislikes <= rating.likes) return false;
+    return rating.dislikes >= RATING_BAN_DISLIKES || rating.dislikes >= listenerCount;
+  }
 
-      await this.playSong(discoverySong);
+  async playDiscoverySong() {
+    try {
+      const pick = await this.pickDiscoverySong();
+      if (pick.song) {
+        this.applyRadioPick(pick);
+        await this.playSong(pick.song);
+      } else {
+        this.reportNoRadioPick(pick.reason);
+        this.silentSince = null;
+      }
     } catch (error) {
       console.error('Error in discovery mode:', error);
       if (this.textChannel) {
@@ -1156,10 +1807,150 @@ export class MusicQueue {
     }
   }
 
+  // Find a song the listeners don't have yet, seeded from their libraries. Falls
+  // back to a regular radio pick when there's nothing to go on or nothing new.
+  // Resolves to a pick like pickRadioSong()'s.
+  async pickDiscoverySong() {
+    this.updateActiveUsers();
+    const userIds = Array.from(this.activeUsers);
+
+    if (userIds.length === 0) {
+      console.log('No users for discovery mode');
+      return this.pickRadioSong();
+    }
+
+    // Get user's existing songs to find similar content
+    const songs = getMultipleUsersSongs(this.guildId, userIds, 50);
+
+    if (songs.length === 0) {
+      console.log('No songs to base discovery on, falling back to radio');
+      return this.pickRadioSong();
+    }
+
+    // Pick a random song from their library as a seed
+    const seedSong = songs[Math.floor(Math.random() * songs.length)];
+    console.log(`🔍 Discovery mode: Using "${seedSong.song_title}" as seed`);
+
+    // Build a search query based on the seed song
+    // Extract artist name or use title keywords
+    let searchQuery;
+    if (seedSong.song_artist && seedSong.song_artist !== 'Unknown') {
+      // Search for similar songs by the same artist or genre
+      const randomStrategy = Math.random();
+      if (randomStrategy < 0.4) {
+        searchQuery = `${seedSong.song_artist} similar songs`;
+      } else if (randomStrategy < 0.7) {
+        searchQuery = `${seedSong.song_artist} best songs`;
+      } else {
+        searchQuery = `songs like ${seedSong.song_title}`;
+      }
+    } else {
+      // Use title-based search
+      searchQuery = `songs like ${seedSong.song_title}`;
+    }
+
+    console.log(`🔍 Discovery search query: "${searchQuery}"`);
+
+    // Search YouTube for related content
+    const searchResults = await play.search(searchQuery, { limit: 10 });
+
+    if (searchResults.length === 0) {
+      console.log('No discovery results, falling back to radio');
+      return this.pickRadioSong();
+    }
+
+    // Filter out songs already in the user's library
+    const knownUrls = new Set(songs.map(s => s.song_url));
+    const newSongs = searchResults.filter(result => !knownUrls.has(result.url));
+
+    if (newSongs.length === 0) {
+      console.log('All results already known, falling back to radio');
+      return this.pickRadioSong();
+    }
+
+    // Pick a random new song from the results
+    const discoveredVideo = newSongs[Math.floor(Math.random() * newSongs.length)];
+
+    const discoverySong = {
+      url: discoveredVideo.url,
+      title: discoveredVideo.title,
+      artist: discoveredVideo.channel?.name || 'Unknown',
+      duration: discoveredVideo.durationInSec,
+      requestedBy: { id: 'discovery', name: '🔍 Discovery Mode' },
+      thumbnail: discoveredVideo.thumbnails?.[0]?.url,
+      discoveredFrom: seedSong.song_title // Shown when the song starts
+    };
+
+    console.log(`🔍 Picked discovery: ${discoverySong.title}`);
+    return { song: discoverySong };
+  }
+
   skip() {
+    this.skipRequested = true;
     this.player.stop();
   }
 
+  // Non-bot members in the bot's voice channel
+  getListeners() {
+    return this.voiceChannel?.members.filter(member => !member.user.bot) ?? new Map();
+  }
+
+  // Votes from members still listening, and how many are needed to skip
+  getSkipVoteTally() {
+    const listeners = this.getListeners();
+    for (const userId of this.skipVotes) {
+      if (!listeners.has(userId)) {
+        this.skipVotes.delete(userId);
+      }
+    }
+
+    const needed = Math.max(1, Math.ceil(listeners.size * this.skipVoteThreshold));
+    return { votes: this.skipVotes.size, needed };
+  }
+
+  // A skip request from member. The requester and DJs skip straight away; anyone
+  // else adds a vote, and the song is skipped once enough listeners agree.
+  // Returns { result, votes, needed } with result one of 'skipped', 'voted',
+  // 'alreadyVoted' or 'notListening'.
+  voteSkip(member) {
+    if (canForceSkip(member, this.currentSong)) {
+      this.skip();
+      return { result: 'skipped', votes: 0, needed: 0 };
+    }
+
+    if (!member || !this.getListeners().has(member.id)) {
+      return { result: 'notListening', ...this.getSkipVoteTally() };
+    }
+
+    const alreadyVoted = this.skipVotes.has(member.id);
+    this.skipVotes.add(member.id);
+    const tally = this.getSkipVoteTally();
+
+    if (tally.votes >= tally.needed) {
+      console.log(`⏭️ Vote skip passed (${tally.votes}/${tally.needed}): ${this.currentSong.title}`);
+      this.skip();
+      return { result: 'skipped', ...tally };
+    }
+
+    this.refreshNowPlayingMessage();
+    return { result: alreadyVoted ? 'alreadyVoted' : 'voted', ...tally };
+  }
+
+  // Recount open votes after listeners left or the threshold changed: fewer
+  // listeners can mean the votes already cast are now enough
+  checkSkipVotes() {
+    if (this.skipVotes.size === 0 || !this.isPlaying || !this.currentSong) return;
+
+    const tally = this.getSkipVoteTally();
+    if (tally.votes > 0 && tally.votes >= tally.needed) {
+      console.log(`⏭️ Vote skip passed (${tally.votes}/${tally.needed}): ${this.currentSong.title}`);
+      this.skip();
+      return;
+    }
+
+    this.refreshNowPlayingMessage();
+  }
+
   pause() {
     return this.player.pause();
   }
@@ -1170,6 +1961,138 @@ export class MusicQueue {
 
   clear() {
     this.queue = [];
+    this.queueChanged();
+  }
+
+  addToSessionHistory(song) {
+    // Track loop replays the same song object, keep a single entry for it
+    const last = this.sessionHistory[this.sessionHistory.length - 1];
+    if (last?.song === song) {
+      last.playedAt = Date.now();
+      return;
+    }
+
+    this.sessionHistory.push({ song, playedAt: Date.now() });
+    if (this.sessionHistory.length > MAX_SESSION_HISTORY) {
+      this.sessionHistory.shift();
+    }
+  }
+
+  // Session history, most recent first
+  getSessionHistory() {
+    return [...this.sessionHistory].reverse();
+  }
+
+  // Go back to the last finished song. The current song is requeued right after
+  // it, so skipping again picks up where we left off. Returns the song, or null
+  // if there is no history yet.
+  previous() {
+    const entry = this.sessionHistory.pop();
+    if (!entry) return null;
+
+    if (this.isPlaying && this.currentSong) {
+      this.queue.unshift(entry.song, this.currentSong);
+      this.queueChanged();
+      this.previousRequested = true;
+      this.skip();
+    } else {
+      this.queue.unshift(entry.song);
+      this.queueChanged();
+      this.playNext();
+    }
+
+    return entry.song;
+  }
+
+  // Queue a song from the session history (0 = most recent) at the front,
+  // requested again by whoever asked for it
+  replay(index, userId, userName) {
+    const entry = this.getSessionHistory()[index];
+    if (!entry) return null;
+
+    const song = { ...entry.song, requestedBy: { id: userId, name: userName } };
+    this.queue.unshift(song);
+    this.queueChanged();
+
+    if (!this.isPlaying) {
+      this.playNext();
+    }
+
+    return song;
+  }
+
+  // Queue editing - indexes are 0-based, commands translate from the 1-based positions users see
+
+  // Remove songs from start to end (inclusive), returns the removed songs
+  removeSongs(start, end = start) {
+    const removed = this.queue.splice(start, end - start + 1);
+    this.queueChanged();
+    return removed;
+  }
+
+  moveSong(from, to) {
+    const [song] = this.queue.splice(from, 1);
+    this.queue.splice(to, 0, song);
+    this.queueChanged();
+    return song;
+  }
+
+  // Shuffle the songs matching the filter among their own slots, leaving every
+  // other song where it is. Returns how many songs were shuffled.
+  shuffleQueue(filter = () => true) {
+    const slots = [];
+    this.queue.forEach((song, index) => {
+      if (filter(song)) slots.push(index);
+    });
+
+    const songs = slots.map(index => this.queue[index]);
+    for (let i = songs.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [songs[i], songs[j]] = [songs[j], songs[i]];
+    }
+    slots.forEach((slot, i) => {
+      this.queue[slot] = songs[i];
+    });
+    this.queueChanged();
+
+    return songs.length;
+  }
+
+  // Drop later copies of songs already queued (or playing). Only copies matching
+  // the filter are removed. Returns the removed songs.
+  dedupeQueue(filter = () => true) {
+    const seen = new Set(this.currentSong ? [this.currentSong.url] : []);
+    const removed = [];
+
+    this.queue = this.queue.filter(song => {
+      if (seen.has(song.url) && filter(song)) {
+        removed.push(song);
+        return false;
+      }
+      seen.add(song.url);
+      return true;
+    });
+    this.queueChanged();
+
+    return removed;
+  }
+
+  // Jump to a queued song, dropping everything before it. In queue loop mode the
+  // jumped-over songs go to the back of the queue instead of being dropped.
+  skipTo(index) {
+    const skipped = this.queue.splice(0, index);
+    if (this.loopMode === 'queue') {
+      this.queue.push(...skipped);
+    }
+    this.queueChanged();
+
+    if (this.isPlaying) {
+      this.skip();
+    } else {
+      this.playNext();
+    }
+
+    return skipped;
   }
 
   getQueue() {
@@ -1180,16 +2103,166 @@ export class MusicQueue {
     return this.currentSong;
   }
 
+  // Plain-object view of the queue for the dashboard and the control API
+  getStatus() {
+    const playerStatus = this.player.state.status;
+    const paused = playerStatus === AudioPlayerStatus.Paused || playerStatus === AudioPlayerStatus.AutoPaused;
+
+    return {
+      guildId: this.guildId,
+      voiceChannel: this.voiceChannel ? { id: this.voiceChannel.id, name: this.voiceChannel.name } : null,
+      connected: Boolean(this.connection),
+      listeners: this.activeUsers.size,
+      status: paused ? 'paused' : this.isPlaying ? 'playing' : 'idle',
+      currentSong: describeSong(this.currentSong),
+      position: this.currentSong ? Math.floor(this.getPlaybackPosition()) : 0,
+      playbackSpeed: this.playbackSpeed,
+      queue: this.queue.map(describeSong),
+      radioMode: this.radioMode,
+      discoveryMode: this.discoveryMode,
+      loopMode: this.loopMode,
+      volume: this.getVolumePercent(),
+      lastRadioSelection: this.lastRadioSelection
+    };
+  }
+
   setRadioMode(enabled) {
     this.radioMode = enabled;
+    this.saveSnapshot();
+    this.emit('radioModeChanged', enabled);
     if (enabled && !this.isPlaying) {
       this.playRadioSong();
     }
   }
 
+  setLoopMode(mode) {
+    if (!LOOP_MODES.includes(mode)) {
+      throw new Error(`Unknown loop mode: ${mode}`);
+    }
+    this.loopMode = mode;
+    console.log(`Loop mode set to ${mode}`);
+    this.saveSnapshot();
+    this.refreshNowPlayingMessage();
+  }
+
+  // Advance to the next loop mode (off → track → queue → off), used by the loop button
+  cycleLoopMode() {
+    const nextMode = LOOP_MODES[(LOOP_MODES.indexOf(this.loopMode) + 1) % LOOP_MODES.length];
+    this.setLoopMode(nextMode);
+    return nextMode;
+  }
+
+  // Embed and buttons describing the current song and playback state
+  buildNowPlayingMessage() {
+    const song = this.currentSong;
+    const isRadioSong = song.requestedBy.id === 'radio';
+    const isPaused = this.player.state.status === AudioPlayerStatus.Paused;
+
+    return {
+      embeds: [createNowPlayingEmbed(song, isRadioSong, { loopMode: this.loopMode, position: this.getPlaybackPosition(), volume: this.getVolumePercent(), filter: this.filter?.label, normalization: this.normalization, skipVotes: this.skipVotes.size > 0 ? this.getSkipVoteTally() : null })],
+      components: createPlaybackButtons(this.isPlaying, isPaused, this.loopMode, this.sessionHistory.length > 0, this.getVolumePercent())
+    };
+  }
+
+  // Re-render the latest now-playing message after a state change
+  refreshNowPlayingMessage() {
+    if (!this.nowPlayingMessage || !this.currentSong) return;
+
+    this.nowPlayingMessage.edit(this.buildNowPlayingMessage()).catch(error => {
+      console.log('Could not refresh now playing message:', error.message);
+    });
+  }
+
   setDiscoveryMode(enabled) {
     this.discoveryMode = enabled;
     console.log(`Discovery mode ${enabled ? 'enabled' : 'disabled'}`);
+    this.saveSnapshot();
+  }
+
+  // Per-guild tunables from /settings, read when the queue is created and
+  // again whenever one changes
+  applySettings() {
+    this.crossfadeDuration = getSetting(this.guildId, 'crossfade') * 1000;
+    this.discoveryChance = getSetting(this.guildId, 'discovery_chance') / 100;
+    this.emptyChannelTimeout = getSetting(this.guildId, 'empty_channel_timeout') * 1000;
+    this.maxRetries = getSetting(this.guildId, 'max_retries');
+    this.ratingWindow = getSetting(this.guildId, 'rating_window') * 60000;
+    this.skipVoteThreshold = getSetting(this.guildId, 'skip_vote_threshold') / 100;
+  }
+
+  // Queue snapshots let a restart pick up where the bot left off. Writes are
+  // coalesced, since a playlist import or queue edit changes a lot at once.
+  // Call after any change to the queue's songs
+  queueChanged() {
+    this.emit('queueChanged', this.queue);
+    this.saveSnapshot();
+  }
+
+  // Call after restore_queue changes: save the queue right away, or drop the saved one
+  queueRestoreChanged() {
+    if (getSetting(this.guildId, 'restore_queue')) {
+      this.saveSnapshot();
+    } else {
+      deleteQueueSnapshot(this.guildId);
+    }
+  }
+
+  saveSnapshot() {
+    if (this.snapshotTimeout) return;
+    this.snapshotTimeout = setTimeout(() => {
+      this.snapshotTimeout = null;
+      this.writeSnapshot();
+    }, SNAPSHOT_DEBOUNCE_MS);
+  }
+
+  // saveNow = false leaves the disk write to the database's periodic save
+  writeSnapshot(saveNow = true) {
+    if (!this.voiceChannel || !getSetting(this.guildId, 'restore_queue')) return;
+
+    // Nothing to come back to
+    if (!this.currentSong && this.queue.length === 0 && !this.radioMode) {
+      deleteQueueSnapshot(this.guildId);
+      return;
+    }
+
+    const state = {
+      currentSong: this.currentSong,
+      position: this.currentSong?.duration ? Math.floor(this.getPlaybackPosition()) : 0,
+      queue: this.queue,
+      radioMode: this.radioMode,
+      discoveryMode: this.discoveryMode,
+      loopMode: this.loopMode
+    };
+    saveQueueSnapshot(this.guildId, this.voiceChannel.id, this.textChannel?.id || null, state, saveNow);
+  }
+
+  // Rejoin and carry on from a snapshot saved before a restart, resuming the
+  // current song where it was. Returns false if the voice channel can't be joined.
+  async restoreSnapshot(state, voiceChannel, textChannel) {
+    const connected = await this.connect(voiceChannel, textChannel);
+    if (!connected) return false;
+
+    this.queue = state.queue || [];
+    this.radioMode = Boolean(state.radioMode);
+    this.discoveryMode = Boolean(state.discoveryMode);
+    this.loopMode = LOOP_MODES.includes(state.loopMode) ? state.loopMode : 'off';
+
+    const queued = this.queue.length + (state.currentSong ? 1 : 0);
+    console.log(`♻️ Restoring ${queued} song(s) in ${voiceChannel.name}`);
+    if (this.textChannel) {
+      const embed = createInfoEmbed(
+        '♻️ Back Online',
+        `Picking up where we left off${queued > 0 ? ` with **${queued}** song${queued !== 1 ? 's' : ''}` : ''}${this.radioMode ? ' (radio mode on)' : ''}.`
+      );
+      this.textChannel.send({ embeds: [embed] }).catch(console.error);
+    }
+
+    if (state.currentSong) {
+      await this.playSong(state.currentSong, state.position || 0);
+    } else {
+      await this.playNext();
+    }
+    return true;
   }
 
   async cleanupMessages() {
@@ -1222,6 +2295,29 @@ export class MusicQueue {
     console.log('✓ Message cleanup complete');
   }
 
+  // Leave voice because the bot is shutting down. Unlike disconnect() the saved
+  // queue is kept for the next start, and tracked messages are left alone to keep
+  // this quick.
+  async goOffline() {
+    if (!this.connection) return;
+
+    if (this.textChannel) {
+      const willRestore = getSetting(this.guildId, 'restore_queue') && (this.currentSong || this.queue.length > 0 || this.radioMode);
+      const embed = createInfoEmbed(
+        '📴 Going Offline',
+        willRestore
+          ? 'The bot is shutting down for a moment. The queue is saved and will pick up where it left off when it\'s back.'
+          : 'The bot is shutting down. Thanks for listening!'
+      );
+      await this.textChannel.send({ embeds: [embed] }).catch(error => {
+        console.log('Could not send offline notice:', error.message);
+      });
+    }
+
+    this.connection.destroy();
+    this.cleanup({ keepSnapshot: true });
+  }
+
   async disconnect() {
     // Clean up messages before disconnecting
     await this.cleanupMessages();
@@ -1236,7 +2332,14 @@ export class MusicQueue {
     this.cleanup();
   }
 
-  cleanup() {
+  // keepSnapshot leaves the saved queue in place, for shutting down to restart
+  cleanup({ keepSnapshot = false } = {}) {
+    clearTimeout(this.snapshotTimeout);
+    this.snapshotTimeout = null;
+    if (!keepSnapshot) {
+      deleteQueueSnapshot(this.guildId);
+    }
+
     this.queue = [];
     this.currentSong = null;
     if (this.subscription) {
@@ -1255,6 +2358,20 @@ export class MusicQueue {
     this.botMessages = []; // Clear message tracking
     this.retryCount = 0; // Reset retry state
     this.failedUrls.clear(); // Clear failed URLs
+    this.loopMode = 'off';
+    this.skipRequested = false;
+    this.skipVotes.clear();
+    this.songFailed = false;
+    this.nowPlayingMessage = null;
+    this.sessionHistory = [];
+    this.previousRequested = false;
+    this.stopProgressUpdates();
+    this.stopPrefetchMonitor();
+    this.silentSince = null;
+    this.filter = null;
+    this.normalization = null;
     this.player.stop();
+    this.stopStream();
+    this.emit('stopped');
   }
 }
@@ -0,0 +1,124 @@
+// Now-playing WebSocket feed and OBS overlay
+//
+// /ws/nowplaying?guild=<id>&key=<api key> streams a guild's MusicQueue events as
+// JSON: { type, guildId, data, state, at }. state is the queue's getStatus() at
+// the time, so a client can just redraw from the latest message. Between events,
+// playing guilds get a 'progress' message every few seconds to correct drift.
+//
+// /overlay?guild=<id>&key=<api key> is a browser source for OBS that renders the
+// feed like the now-playing embed. Keys are the control API's (/apikey).
+
+import { readFileSync } from 'fs';
+import { WebSocketServer } from 'ws';
+import { addRoute, addUpgradeRoute, HttpError } from './httpServer.js';
+import { verifyApiKey } from './controlApi.js';
+import { describeSong } from './musicQueue.js';
+
+const OVERLAY_HTML = readFileSync(new URL('./overlay.html', import.meta.url));
+const PROGRESS_INTERVAL = 5000;
+const PING_INTERVAL = 30000; // Drop clients that stop answering pings
+
+// Event name -> the data sent with it
+const FEED_EVENTS = {
+  songStart: song => ({ song: describeSong(song) }),
+  pause: () => ({}),
+  resume: () => ({}),
+  queueChanged: queue => ({ length: queue.length }),
+  songRated: ({ song, userName, rating }) => ({ song: describeSong(song), userName, rating }),
+  radioModeChanged: enabled => ({ enabled }),
+  stopped: () => ({})
+};
+
+const subscribers = new Map(); // guildId -> Set of sockets
+const watchedQueues = new WeakSet();
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(musicQueue, type, data = {}) {
+  const sockets = subscribers.get(musicQueue.guildId);
+  if (!sockets || sockets.size === 0) return;
+
+  const message = { type, guildId: musicQueue.guildId, data, state: musicQueue.getStatus(), at: Date.now() };
+  for (const socket of sockets) {
+    send(socket, message);
+  }
+}
+
+// Queues live for the whole process, so listeners are added once per queue
+function watchQueue(musicQueue) {
+  if (watchedQueues.has(musicQueue)) return;
+  watchedQueues.add(musicQueue);
+
+  for (const [type, describe] of Object.entries(FEED_EVENTS)) {
+    musicQueue.on(type, (...args) => broadcast(musicQueue, type, describe(...args)));
+  }
+}
+
+function subscribe(socket, musicQueue) {
+  const { guildId } = musicQueue;
+  if (!subscribers.has(guildId)) {
+    subscribers.set(guildId, new Set());
+  }
+  subscribers.get(guildId).add(socket);
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('close', () => {
+    subscribers.get(guildId)?.delete(socket);
+  });
+  socket.on('error', error => {
+    console.error(`Now-playing feed socket error in ${guildId}:`, error.message);
+  });
+
+  send(socket, { type: 'hello', guildId, data: {}, state: musicQueue.getStatus(), at: Date.now() });
+}
+
+// getMusicQueue(guildId) returns the guild's queue, creating it if needed
+export function registerNowPlayingFeed(client, getMusicQueue) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 });
+
+  addUpgradeRoute('/ws/nowplaying', (req, socket, head, url) => {
+    const guildId = url.searchParams.get('guild');
+    verifyApiKey(url.searchParams.get('key'), guildId);
+    if (!client.guilds.cache.has(guildId)) {
+      throw new HttpError(404, 'The bot is not in that server');
+    }
+
+    const musicQueue = getMusicQueue(guildId);
+    watchQueue(musicQueue);
+    wss.handleUpgrade(req, socket, head, ws => subscribe(ws, musicQueue));
+  });
+
+  // The page is static; it reads guild and key from its own URL
+  addRoute('GET', '/overlay', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(OVERLAY_HTML);
+  });
+
+  setInterval(() => {
+    for (const [guildId, sockets] of subscribers) {
+      if (sockets.size === 0) continue;
+      const musicQueue = getMusicQueue(guildId);
+      if (musicQueue.isPlaying) {
+        broadcast(musicQueue, 'progress');
+      }
+    }
+  }, PROGRESS_INTERVAL).unref();
+
+  setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, PING_INTERVAL).unref();
+}
@@ -0,0 +1,216 @@
+// PCM mixer for crossfades
+//
+// Mixes any number of s16le 48kHz stereo inputs into one stream, with a gain ramp
+// per input. The player plays the mixer, so the next song can be added as a second
+// input and faded in while the current one fades out, with no gap in between.
+//
+// Output is produced in 20ms frames as the player pulls them. A lone input at full
+// gain is passed through untouched.
+
+import { Readable } from 'stream';
+
+export const BYTES_PER_SECOND = 48000 * 2 * 2; // 48kHz, 2 channels, 16-bit
+const FRAME_BYTES = BYTES_PER_SECOND / 50; // 20ms, the size the player reads
+const FRAME_MS = 20;
+const MAX_INPUT_BUFFER = BYTES_PER_SECOND; // Pause an input once a second of audio is waiting
+
+export class PcmMixer extends Readable {
+  constructor() {
+    super({ highWaterMark: FRAME_BYTES * 5 });
+    this.inputs = [];
+    this.bytesOut = 0; // Total bytes pushed, used to line inputs up with the player's position
+    this.waiting = false; // _read() is waiting for an input to buffer more audio
+    this.outputEnded = false;
+  }
+
+  // Add a PCM stream. fadeInMs > 0 ramps it up from silence. The returned input is
+  // what fade() and remove() take; startByte is where it starts in the output.
+  addInput(stream, { fadeInMs = 0, onRemoved = null } = {}) {
+    if (this.outputEnded) {
+      throw new Error('Cannot add an input to a mixer that has ended');
+    }
+
+    const input = {
+      stream,
+      chunks: [],
+      length: 0,
+      ended: false,
+      gain: fadeInMs > 0 ? 0 : 1,
+      targetGain: 1,
+      gainStep: fadeInMs > 0 ? 1 / Math.max(1, fadeInMs / FRAME_MS) : 0,
+      removeAtTarget: false,
+      drainOnRemove: false,
+      startByte: this.bytesOut,
+      onRemoved
+    };
+
+    stream.on('data', chunk => {
+      input.chunks.push(chunk);
+      input.length += chunk.length;
+      if (input.length >= MAX_INPUT_BUFFER) {
+        stream.pause();
+      }
+      this.wake();
+    });
+
+    stream.once('end', () => {
+      input.ended = true;
+      this.wake();
+    });
+
+    stream.once('error', error => {
+      // The main input failing fails the mixer, so the player sees the error and
+      // can retry; an input that is only fading out is just dropped
+      if (this.inputs[this.inputs.length - 1] === input) {
+        this.destroy(error);
+      } else {
+        this.remove(input);
+      }
+    });
+
+    this.inputs.push(input);
+    this.wake();
+    return input;
+  }
+
+  // Ramp an input's gain to target over ms. With remove set, the input is dropped
+  // once it gets there - used to fade the outgoing song to silence. drain is passed
+  // on to remove().
+  fade(input, target, ms, { remove = false, drain = false } = {}) {
+    input.targetGain = target;
+    input.gainStep = Math.abs(target - input.gain) / Math.max(1, ms / FRAME_MS);
+    input.removeAtTarget = remove;
+    input.drainOnRemove = drain;
+  }
+
+  // Drop an input and destroy its stream. With drain set the stream is left to run
+  // to its end with the rest of its audio discarded. onRemoved is told which.
+  remove(input, { drain = false } = {}) {
+    const index = this.inputs.indexOf(input);
+    if (index === -1) return;
+
+    this.inputs.splice(index, 1);
+    input.stream.removeAllListeners('data');
+    if (drain) {
+      input.stream.resume();
+    } else {
+      input.stream.destroy();
+    }
+    input.onRemoved?.({ drained: drain });
+    this.wake();
+  }
+
+  _read() {
+    this.waiting = false;
+    this.mixFrames();
+  }
+
+  _destroy(error, callback) {
+    for (const input of [...this.inputs]) {
+      this.remove(input);
+    }
+    callback(error);
+  }
+
+  wake() {
+    if (this.waiting) {
+      this.waiting = false;
+      this.mixFrames();
+    }
+  }
+
+  mixFrames() {
+    while (!this.destroyed) {
+      // Drop inputs that have finished and played out
+      for (const input of [...this.inputs]) {
+        if (input.ended && input.length === 0) {
+          this.remove(input);
+        }
+      }
+
+      if (this.inputs.length === 0) {
+        this.outputEnded = true;
+        this.push(null);
+        return;
+      }
+
+      // Every live input needs a full frame before we can mix one
+      if (this.inputs.some(input => !input.ended && input.length < FRAME_BYTES)) {
+        this.waiting = true;
+        return;
+      }
+
+      const frames = this.inputs.map(input => this.takeFrame(input));
+      const frame = this.mixFrame(frames);
+
+      for (const input of [...this.inputs]) {
+        this.stepGain(input);
+      }
+
+      this.bytesOut += FRAME_BYTES;
+      if (!this.push(frame)) return;
+    }
+  }
+
+  // Take one frame from an input, zero-padded if it ended mid-frame
+  takeFrame(input) {
+    const frame = Buffer.alloc(FRAME_BYTES);
+    let filled = 0;
+
+    while (filled < FRAME_BYTES && input.chunks.length > 0) {
+      const chunk = input.chunks[0];
+      const count = Math.min(chunk.length, FRAME_BYTES - filled);
+      chunk.copy(frame, filled, 0, count);
+      filled += count;
+
+      if (count === chunk.length) {
+        input.chunks.shift();
+      } else {
+        input.chunks[0] = chunk.subarray(count);
+      }
+    }
+    input.length -= filled;
+
+    if (input.stream.isPaused() && input.length < MAX_INPUT_BUFFER / 2) {
+      input.stream.resume();
+    }
+
+    return { input, frame };
+  }
+
+  mixFrame(frames) {
+    if (frames.length === 1) {
+      const [{ input, frame }] = frames;
+      if (input.gain === 1 && input.targetGain === 1) return frame;
+    }
+
+    const samples = FRAME_BYTES / 2;
+    const output = Buffer.alloc(FRAME_BYTES);
+
+    // Interpolate gain across the frame so ramps don't click
+    const ramps = frames.map(({ input, frame }) => ({ frame, from: input.gain, delta: this.nextGain(input) - input.gain }));
+
+    for (let i = 0; i < samples; i++) {
+      let sum = 0;
+      for (const { frame, from, delta } of ramps) {
+        sum += frame.readInt16LE(i * 2) * (from + delta * (i / samples));
+      }
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sum))), i * 2);
+    }
+
+    return output;
+  }
+
+  nextGain(input) {
+    if (input.gain < input.targetGain) return Math.min(input.targetGain, input.gain + input.gainStep);
+    if (input.gain > input.targetGain) return Math.max(input.targetGain, input.gain - input.gainStep);
+    return input.gain;
+  }
+
+  stepGain(input) {
+    input.gain = this.nextGain(input);
+    if (input.removeAtTarget && input.gain === input.targetGain) {
+      this.remove(input, { drain: input.drainOnRemove });
+    }
+  }
+}
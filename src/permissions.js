@@ -0,0 +1,124 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { SETTINGS, getSetting } from './settings.js';
+import { createErrorEmbed } from './radioEmbeds.js';
+
+/**
+ * Commands a server can restrict to DJs with /dj command, in the order they
+ * are offered. Personal and admin commands (/mysongs, /apikey, ...) aren't listed.
+ */
+export const RESTRICTABLE_COMMANDS = SETTINGS.dj_only_commands.choices;
+
+/**
+ * Checks whether a member counts as a DJ for this guild: anyone with the
+ * server's DJ role (a role named "DJ" unless one was picked with /dj role),
+ * or with the Manage Server or Manage Channels permission
+ * @param {GuildMember} member - Guild member (may be null for unresolved DMs)
+ * @returns {boolean} True if the member can manage everyone's songs
+ */
+export function isDJ(member) {
+  if (!member) return false;
+
+  const permissions = member.permissions;
+  if (permissions?.has(PermissionFlagsBits.ManageGuild) || permissions?.has(PermissionFlagsBits.ManageChannels)) {
+    return true;
+  }
+
+  const roleId = member.guild ? getSetting(member.guild.id, 'dj_role_id') : null;
+  if (roleId) {
+    return Boolean(member.roles?.cache?.has(roleId));
+  }
+
+  return Boolean(member.roles?.cache?.some(role => role.name.toLowerCase() === 'dj'));
+}
+
+/**
+ * Checks whether a member is the only listener left, so nobody else is
+ * affected by what they do. Uses the bot's channel, or the member's own
+ * channel while the bot isn't connected.
+ * @param {GuildMember} member - Guild member
+ * @param {MusicQueue} musicQueue - The guild's music queue
+ * @returns {boolean} True if no other non-bot member is in the channel
+ */
+export function isAloneWithBot(member, musicQueue) {
+  const channel = musicQueue?.voiceChannel ?? member?.voice?.channel;
+  if (!member || !channel?.members.has(member.id)) return false;
+
+  return channel.members.every(other => other.id === member.id || other.user.bot);
+}
+
+/**
+ * Checks whether a member has DJ rights right now: a DJ, or alone in the
+ * channel when the server allows that
+ * @param {GuildMember} member - Guild member
+ * @param {MusicQueue} musicQueue - The guild's music queue
+ * @returns {boolean} True if the member may run DJ only commands
+ */
+export function hasDJAccess(member, musicQueue) {
+  if (isDJ(member)) return true;
+  return getSetting(musicQueue.guildId, 'dj_when_alone') && isAloneWithBot(member, musicQueue);
+}
+
+/**
+ * Gets the commands a guild has restricted to DJs
+ * @param {string} guildId - Discord guild ID
+ * @returns {string[]} Command names
+ */
+export function getDJCommands(guildId) {
+  return getSetting(guildId, 'dj_only_commands');
+}
+
+/**
+ * Checks whether a member may run a command, for slash commands, buttons and
+ * context menus alike
+ * @param {GuildMember} member - Guild member (may be null for unresolved DMs)
+ * @param {string} commandName - Slash command the action maps to, e.g. 'clear'
+ * @param {MusicQueue} musicQueue - The guild's music queue
+ * @returns {string|null} Why the member was denied, or null if they are allowed
+ */
+export function getCommandDenial(member, commandName, musicQueue) {
+  if (!getDJCommands(musicQueue.guildId).includes(commandName)) return null;
+  if (hasDJAccess(member, musicQueue)) return null;
+
+  const roleId = getSetting(musicQueue.guildId, 'dj_role_id');
+  const role = roleId ? `the <@&${roleId}> role` : 'a role named **DJ**';
+  return `🎧 \`/${commandName}\` is limited to DJs on this server.\n\n` +
+    `DJs are members with ${role}, or with the Manage Server or Manage Channels permission.` +
+    (getSetting(musicQueue.guildId, 'dj_when_alone') ? ' You can also use it while you\'re the only one listening.' : '');
+}
+
+/**
+ * Checks whether a member may edit or remove a queued song
+ * @param {GuildMember} member - Guild member
+ * @param {Object} song - Song object from the queue
+ * @returns {boolean} True for DJs and for the member who requested the song
+ */
+export function canEditQueuedSong(member, song) {
+  return isDJ(member) || song.requestedBy.id === member?.id;
+}
+
+/**
+ * Checks whether a member may skip the current song without a vote
+ * @param {GuildMember} member - Guild member
+ * @param {Object} song - The song that is playing
+ * @returns {boolean} True for DJs and for the member who requested the song
+ */
+export function canForceSkip(member, song) {
+  return canEditQueuedSong(member, song);
+}
+
+/**
+ * Checks that a member may change server settings, replying with an error if
+ * not. Default member permissions don't apply to commands run from DMs, so
+ * admin commands check here as well.
+ * @param {Interaction} interaction - Discord interaction to reply to
+ * @param {Object} context - { guildId, voiceChannel, member, isDM } from resolveDMContext
+ * @param {string} action - What the command does, e.g. 'manage API keys'
+ * @returns {Promise<boolean>} True if the member has the Manage Server permission
+ */
+export async function requireManageGuild(interaction, context, action) {
+  if (context.member?.permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+
+  const embed = createErrorEmbed(`You need the **Manage Server** permission to ${action}!`);
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  return false;
+}
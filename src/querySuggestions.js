@@ -0,0 +1,93 @@
+// Autocomplete for the query option of /play and /search
+//
+// Suggestions come from the member's own library and 👍 favorites, then songs
+// played in the guild lately, then YouTube search hits. Each value is the
+// song's URL, so picking one plays it without searching again.
+//
+// Discord drops autocomplete responses after 3 seconds. The database lookups
+// are quick; YouTube searches are cached per query and only waited on briefly,
+// so a slow search still fills the cache for the next keystroke.
+
+import play from 'play-dl';
+import { findLibrarySongs, findRecentGuildSongs } from './database.js';
+
+const MAX_CHOICES = 25; // Discord's limit
+const MAX_VALUE_LENGTH = 100; // Longer URLs can't be choice values
+const LIBRARY_LIMIT = 10;
+const HISTORY_LIMIT = 8;
+const SEARCH_LIMIT = 7;
+const MIN_SEARCH_LENGTH = 3; // A letter or two isn't worth a YouTube search
+const SEARCH_WAIT_MS = 1500; // Leaves headroom under the 3 second deadline
+const SEARCH_CACHE_TTL_MS = 600000; // 10 minutes
+const SEARCH_CACHE_MAX = 500;
+
+const searchCache = new Map(); // lowercased query -> { promise, timestamp }
+
+// Cached YouTube search; concurrent keystrokes for the same query share one request
+function searchYouTube(query) {
+  const key = query.toLowerCase();
+  const cached = searchCache.get(key);
+  if (cached && Date.now() - cached.timestamp < SEARCH_CACHE_TTL_MS) {
+    return cached.promise;
+  }
+
+  const promise = play.search(query, { limit: SEARCH_LIMIT })
+    .then(videos => videos.map(video => ({ url: video.url, title: video.title, artist: video.channel?.name })))
+    .catch(error => {
+      console.log(`Autocomplete search failed for "${query}":`, error.message);
+      searchCache.delete(key);
+      return [];
+    });
+
+  searchCache.delete(key);
+  searchCache.set(key, { promise, timestamp: Date.now() });
+
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (searchCache.size > SEARCH_CACHE_MAX) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+
+  return promise;
+}
+
+// Resolves to fallback if promise takes longer than ms
+function withDeadline(promise, ms, fallback) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+export async function getQuerySuggestions(guildId, userId, typed) {
+  const text = String(typed).trim();
+
+  // A URL is already what the command wants
+  if (/^https?:\/\//i.test(text)) return [];
+
+  const choices = [];
+  const seen = new Set();
+  const add = (icon, title, artist, url) => {
+    if (!url || url.length > MAX_VALUE_LENGTH || seen.has(url) || choices.length >= MAX_CHOICES) return;
+    seen.add(url);
+    choices.push({ name: `${icon} ${artist ? `${title} - ${artist}` : title}`.slice(0, 100), value: url });
+  };
+
+  for (const song of findLibrarySongs(guildId, userId, text, LIBRARY_LIMIT)) {
+    add(song.favorite ? '❤️' : '🎧', song.song_title, song.song_artist, song.song_url);
+  }
+
+  if (guildId) {
+    for (const song of findRecentGuildSongs(guildId, text, HISTORY_LIMIT)) {
+      add('🕒', song.song_title, null, song.song_url);
+    }
+  }
+
+  if (text.length >= MIN_SEARCH_LENGTH) {
+    for (const result of await withDeadline(searchYouTube(text), SEARCH_WAIT_MS, [])) {
+      add('🔍', result.title, result.artist, result.url);
+    }
+  }
+
+  return choices;
+}
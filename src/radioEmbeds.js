@@ -1,4 +1,4 @@
-import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
 
 // Vintage radio theme colors - warm wooden radio aesthetic
 const RADIO_COLORS = {
@@ -36,19 +36,34 @@ function createFrequencyDisplay(text) {
   return `╔═══ ${text} ═══╗`;
 }
 
-export function createNowPlayingEmbed(song, isRadio = false) {
+const LOOP_MODE_LABELS = {
+  off: 'Off',
+  track: '🔂 Track',
+  queue: '🔁 Queue'
+};
+
+export function createNowPlayingEmbed(song, isRadio = false, options = {}) {
+  const { loopMode = 'off', position = null, volume = 100, filter = null, normalization = null, skipVotes = null } = options;
   const stationMode = isRadio ? '📻 RADIO MODE' : '♫ DIRECT PLAY';
   const border = createRadioBorder();
 
-  const description = [
+  const descriptionLines = [
     border,
     ``,
     `**♫ ${song.title.toUpperCase()}**`,
     ``,
     `🎙️ **${song.artist || 'Unknown Artist'}**`,
-    ``,
-    border
-  ].join('\n');
+    ``
+  ];
+
+  // Live streams and unknown lengths have nothing to measure progress against
+  if (position !== null && song.duration) {
+    const elapsed = Math.min(position, song.duration);
+    descriptionLines.push(`${createProgressBar(elapsed, song.duration)} \`${formatDuration(elapsed)} / ${formatDuration(song.duration)}\``, ``);
+  }
+
+  descriptionLines.push(border);
+  const description = descriptionLines.join('\n');
 
   const embed = new EmbedBuilder()
     .setColor(isRadio ? RADIO_COLORS.radio : RADIO_COLORS.playing)
@@ -67,6 +82,16 @@ export function createNowPlayingEmbed(song, isRadio = false) {
         name: '🎧 Requested By',
         value: `\`${song.requestedBy.name}\``,
         inline: true
+      },
+      {
+        name: '🔁 Loop',
+        value: `\`${LOOP_MODE_LABELS[loopMode] || LOOP_MODE_LABELS.off}\``,
+        inline: true
+      },
+      {
+        name: `${volume === 0 ? '🔇' : '🔊'} Volume`,
+        value: `\`${volume}%\``,
+        inline: true
       }
     )
     .setFooter({
@@ -75,6 +100,21 @@ export function createNowPlayingEmbed(song, isRadio = false) {
     })
     .setTimestamp();
 
+  if (filter) {
+    embed.addFields({ name: '🎛️ Filter', value: `\`${filter}\``, inline: true });
+  }
+
+  if (normalization) {
+    const gain = normalization.measure
+      ? 'Auto (measuring)'
+      : `${normalization.gainDb > 0 ? '+' : ''}${normalization.gainDb.toFixed(1)} dB`;
+    embed.addFields({ name: '📶 Loudness', value: `\`${gain}\``, inline: true });
+  }
+
+  if (skipVotes) {
+    embed.addFields({ name: '🗳️ Skip Votes', value: `\`${skipVotes.votes}/${skipVotes.needed}\``, inline: true });
+  }
+
   if (song.thumbnail) {
     embed.setThumbnail(song.thumbnail);
   }
@@ -143,9 +183,154 @@ export function createQueueEmbed(queue, currentSong) {
   return embed;
 }
 
-export function createPlaybackButtons(isPlaying = true, isPaused = false) {
-  const row = new ActionRowBuilder()
+export const PLAYLISTS_PER_PAGE = 10;
+
+export function createPlaylistsEmbed(playlists, ownerLabel, page = 0) {
+  const totalPages = Math.max(1, Math.ceil(playlists.length / PLAYLISTS_PER_PAGE));
+
+  const embed = new EmbedBuilder()
+    .setColor(RADIO_COLORS.queue)
+    .setAuthor({
+      name: `📼 ${ownerLabel.toUpperCase()} RECORD COLLECTION`,
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/videocassette_1f4fc.png'
+    })
+    .setTimestamp()
+    .setFooter({
+      text: `ECHO'S ANVIL RADIO • Page ${page + 1} of ${totalPages}`,
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/radio_1f4fb.png'
+    });
+
+  if (playlists.length === 0) {
+    embed.setDescription('```\n═══════════════════════════════\n  NO SAVED PLAYLISTS\n  Save the queue with\n  /playlist save\n═══════════════════════════════```');
+    return embed;
+  }
+
+  const start = page * PLAYLISTS_PER_PAGE;
+  const playlistList = playlists.slice(start, start + PLAYLISTS_PER_PAGE).map((playlist, index) =>
+    `**${start + index + 1}.** ${playlist.name}\n   🎵 ${playlist.track_count} track${playlist.track_count !== 1 ? 's' : ''} • 🕒 Updated ${playlist.updated_at?.split(' ')[0] || 'unknown'}`
+  ).join('\n\n');
+
+  embed.setDescription(playlistList);
+  embed.addFields({
+    name: '⏰ Collection Info',
+    value: `\`\`\`\nSaved Playlists: ${playlists.length}\`\`\``,
+    inline: false
+  });
+
+  return embed;
+}
+
+export function createPlaylistTracksEmbed(playlist, tracks, page = 0) {
+  const totalPages = Math.max(1, Math.ceil(tracks.length / PLAYLISTS_PER_PAGE));
+
+  const embed = new EmbedBuilder()
+    .setColor(RADIO_COLORS.queue)
+    .setAuthor({
+      name: `📼 ${playlist.name.toUpperCase()}`,
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/videocassette_1f4fc.png'
+    })
+    .setTimestamp()
+    .setFooter({
+      text: `ECHO'S ANVIL RADIO • Page ${page + 1} of ${totalPages}`,
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/radio_1f4fb.png'
+    });
+
+  if (tracks.length === 0) {
+    embed.setDescription('```\n═══════════════════════════════\n  EMPTY PLAYLIST\n  Add tracks with\n  /playlist add\n═══════════════════════════════```');
+    return embed;
+  }
+
+  const start = page * PLAYLISTS_PER_PAGE;
+  const trackList = tracks.slice(start, start + PLAYLISTS_PER_PAGE).map(track =>
+    `**${track.position}.** ${track.song_title}\n   🎙️ ${track.song_artist || 'Unknown'} • ⏱️ ${formatDuration(track.duration)}`
+  ).join('\n\n');
+
+  embed.setDescription(trackList);
+
+  const totalDuration = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
+  embed.addFields({
+    name: '⏰ Playlist Info',
+    value: `\`\`\`\nTracks: ${tracks.length}\nTotal Airtime: ${formatDuration(totalDuration)}\`\`\``,
+    inline: false
+  });
+
+  return embed;
+}
+
+// A header plus one small card per /search result, so each shows its thumbnail
+export function createSearchResultsEmbeds(query, results, expiresInSeconds) {
+  const header = new EmbedBuilder()
+    .setColor(RADIO_COLORS.primary)
+    .setAuthor({
+      name: '🔍 TUNING THE DIAL',
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/magnifying-glass-tilted-left_1f50d.png'
+    })
+    .setDescription(`Results for **${query}**\nPick one or more from the menu below.`)
+    .setFooter({
+      text: `ECHO'S ANVIL RADIO • Menu closes in ${expiresInSeconds} seconds`,
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/radio_1f4fb.png'
+    });
+
+  const cards = results.map((result, index) => {
+    const card = new EmbedBuilder()
+      .setColor(RADIO_COLORS.queue)
+      .setTitle(`${index + 1}. ${result.title}`.slice(0, 256))
+      .setURL(result.url)
+      .setDescription(`📺 ${result.artist} • ⏱️ ${result.duration ? formatDuration(result.duration) : '🔴 Live'}`);
+    if (result.thumbnail) {
+      card.setThumbnail(result.thumbnail);
+    }
+    return card;
+  });
+
+  return [header, ...cards];
+}
+
+// Select menu over the /search results; option values are result indexes
+export function createSearchSelectMenu(customId, results) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(customId)
+    .setPlaceholder('🎵 Pick songs to queue')
+    .setMinValues(1)
+    .setMaxValues(results.length)
+    .addOptions(results.map((result, index) => ({
+      label: `${index + 1}. ${result.title}`.slice(0, 100),
+      description: `${result.artist} • ${result.duration ? formatDuration(result.duration) : 'Live'}`.slice(0, 100),
+      value: String(index)
+    })));
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+// Previous/next page buttons; customIds are `${prefix}:${targetPage}`
+export function createPaginationButtons(prefix, page, totalPages) {
+  return new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${prefix}:${page - 1}`)
+        .setLabel('Previous')
+        .setEmoji('◀️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 0),
+      new ButtonBuilder()
+        .setCustomId(`${prefix}:${page + 1}`)
+        .setLabel('Next')
+        .setEmoji('▶️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= totalPages - 1)
+    );
+}
+
+// Transport controls on the first row, queue, radio and volume on the second
+export function createPlaybackButtons(isPlaying = true, isPaused = false, loopMode = 'off', hasPrevious = false, volume = 100) {
+  const transportRow = new ActionRowBuilder()
     .addComponents(
+      new ButtonBuilder()
+        .setCustomId('previous')
+        .setLabel('Previous')
+        .setEmoji('⏮️')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!hasPrevious),
       new ButtonBuilder()
         .setCustomId('pause')
         .setLabel(isPaused ? 'Resume' : 'Pause')
@@ -158,6 +343,15 @@ export function createPlaybackButtons(isPlaying = true, isPaused = false) {
         .setEmoji('⏭️')
         .setStyle(ButtonStyle.Secondary)
         .setDisabled(!isPlaying),
+      new ButtonBuilder()
+        .setCustomId('loop')
+        .setLabel(loopMode === 'off' ? 'Loop' : `Loop: ${loopMode === 'track' ? 'Track' : 'Queue'}`)
+        .setEmoji(loopMode === 'track' ? '🔂' : '🔁')
+        .setStyle(loopMode === 'off' ? ButtonStyle.Secondary : ButtonStyle.Primary)
+    );
+
+  const stationRow = new ActionRowBuilder()
+    .addComponents(
       new ButtonBuilder()
         .setCustomId('queue')
         .setLabel('View Queue')
@@ -167,10 +361,22 @@ export function createPlaybackButtons(isPlaying = true, isPaused = false) {
         .setCustomId('radio')
         .setLabel('Radio')
         .setEmoji('📻')
-        .setStyle(ButtonStyle.Success)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId('volume_down')
+        .setLabel('Vol -')
+        .setEmoji('🔉')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(volume <= 0),
+      new ButtonBuilder()
+        .setCustomId('volume_up')
+        .setLabel('Vol +')
+        .setEmoji('🔊')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(volume >= 200)
     );
 
-  return row;
+  return [transportRow, stationRow];
 }
 
 export function createSongAddedEmbed(song, position, priority = false) {
@@ -430,6 +636,48 @@ export function createUserSongsEmbed(userName, songs) {
   return embed;
 }
 
+// Songs played this session, most recent first. history entries are { song, playedAt }.
+export function createHistoryEmbed(history, limit = 15) {
+  const embed = new EmbedBuilder()
+    .setColor(RADIO_COLORS.primary)
+    .setAuthor({
+      name: '📼 BROADCAST LOG',
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/videocassette_1f4fc.png'
+    })
+    .setTimestamp()
+    .setFooter({
+      text: 'ECHO\'S ANVIL RADIO • Session History',
+      iconURL: 'https://em-content.zobj.net/thumbs/120/twitter/348/radio_1f4fb.png'
+    });
+
+  if (history.length === 0) {
+    embed.setDescription('```\n═══════════════════════════════\n  NOTHING ON THE LOG YET\n  Finished songs show up here\n═══════════════════════════════```');
+    return embed;
+  }
+
+  const historyList = history.slice(0, limit).map(({ song, playedAt }, index) =>
+    `**${index + 1}.** ${song.title}\n   🎙️ ${song.artist} • 🎧 ${song.requestedBy.name} • 🕒 <t:${Math.floor(playedAt / 1000)}:R>`
+  ).join('\n\n');
+
+  embed.setDescription(historyList);
+
+  if (history.length > limit) {
+    embed.addFields({
+      name: '📡 Earlier Broadcasts',
+      value: `*...and ${history.length - limit} more this session*`,
+      inline: false
+    });
+  }
+
+  embed.addFields({
+    name: '⏮️ Replay',
+    value: 'Use `/replay <number>` to queue a song again',
+    inline: false
+  });
+
+  return embed;
+}
+
 export function createErrorEmbed(message) {
   const border = createRadioBorder();
 
@@ -0,0 +1,181 @@
+// Per-guild settings registry
+//
+// Every setting has a type and a default; numbers also have a unit and bounds.
+// Values are stored in the guild_settings table in the setting's own unit
+// (seconds, percent, ...); a missing or invalid value reads as the default.
+// /settings lists, sets and resets them, MusicQueue.applySettings() copies the
+// playback tunables onto a queue, and the other modules read theirs with getSetting().
+
+import { getGuildSetting, setGuildSetting, deleteGuildSetting } from './database.js';
+
+export const SETTINGS = {
+  crossfade: {
+    description: 'How long songs overlap when one ends and the next starts',
+    type: 'integer', unit: 'seconds', default: 3, min: 1, max: 10
+  },
+  default_volume: {
+    description: 'Volume the bot plays at, also changed by /volume',
+    type: 'integer', unit: '%', default: 100, min: 0, max: 200
+  },
+  discovery_chance: {
+    description: 'Share of radio picks that are new songs while discovery mode is on',
+    type: 'integer', unit: '%', default: 30, min: 0, max: 100
+  },
+  dj_only_commands: {
+    description: 'Commands only DJs may use, also changed by /dj command',
+    type: 'commands', default: ['clear', 'leave', 'radio', 'discovery', 'crossfade'],
+    choices: [
+      'play', 'search', 'playlist', 'skip', 'skipto', 'pause', 'resume', 'clear',
+      'remove', 'move', 'shuffle', 'dedupe', 'replay', 'seek', 'forward', 'rewind',
+      'volume', 'filter', 'normalize', 'loop', 'radio', 'discovery', 'leave', 'crossfade'
+    ]
+  },
+  dj_role_id: {
+    description: 'Role whose members are DJs, instead of a role named DJ',
+    type: 'role', default: null
+  },
+  dj_when_alone: {
+    description: 'Whether a member alone with the bot may use DJ only commands',
+    type: 'boolean', default: true
+  },
+  empty_channel_timeout: {
+    description: 'How long the bot stays in an empty voice channel before leaving',
+    type: 'integer', unit: 'seconds', default: 60, min: 10, max: 3600
+  },
+  max_retries: {
+    description: 'How often a song that fails to play is retried before it is skipped',
+    type: 'integer', unit: 'retries', default: 3, min: 0, max: 10
+  },
+  normalize_loudness: {
+    description: 'Level every song to the same loudness (EBU R128)',
+    type: 'boolean', default: false
+  },
+  rating_window: {
+    description: 'How long 👍/👎 reactions on a now-playing message are counted',
+    type: 'integer', unit: 'minutes', default: 5, min: 1, max: 60
+  },
+  restore_queue: {
+    description: 'Save the queue and pick it up again after a restart',
+    type: 'boolean', default: true
+  },
+  share_libraries: {
+    description: 'Let radio use listeners\' songs and ratings from every server',
+    type: 'boolean', default: false
+  },
+  skip_vote_threshold: {
+    description: 'Share of the listeners that must vote before a song is skipped',
+    type: 'integer', unit: '%', default: 50, min: 1, max: 100
+  }
+};
+
+// Per type: parse turns text typed into /settings into a value (null if it
+// isn't one), isValid checks a stored or given value, and hint says what to type
+const TYPES = {
+  integer: {
+    parse: text => (/^-?\d+$/.test(text.trim()) ? Number(text) : null),
+    isValid: (setting, value) => Number.isInteger(value) && value >= setting.min && value <= setting.max,
+    hint: setting => `a whole number from ${setting.min} to ${setting.max}`
+  },
+  boolean: {
+    parse: text => ({ on: true, true: true, yes: true, off: false, false: false, no: false })[text.trim().toLowerCase()] ?? null,
+    isValid: (setting, value) => typeof value === 'boolean',
+    hint: () => '`on` or `off`'
+  },
+  role: {
+    parse: text => text.trim().match(/^(?:<@&)?(\d+)>?$/)?.[1] ?? null,
+    isValid: (setting, value) => value === null || (typeof value === 'string' && /^\d+$/.test(value)),
+    hint: () => 'a role mention or ID'
+  },
+  // Command names separated by commas or spaces, or "none"
+  commands: {
+    parse: text => {
+      if (text.trim().toLowerCase() === 'none') return [];
+      const names = text.toLowerCase().split(/[\s,]+/).filter(Boolean).map(name => name.replace(/^\//, ''));
+      return names.length > 0 ? names : null;
+    },
+    isValid: (setting, value) => Array.isArray(value) && value.every(name => setting.choices.includes(name)),
+    hint: () => 'command names separated by commas, or `none`'
+  }
+};
+
+function isValid(setting, value) {
+  return TYPES[setting.type].isValid(setting, value);
+}
+
+export function getSetting(guildId, key) {
+  const setting = SETTINGS[key];
+  const value = getGuildSetting(guildId, key, setting.default);
+  return isValid(setting, value) ? value : setting.default;
+}
+
+// Whether the guild changed the setting from its default
+export function isSettingCustomized(guildId, key) {
+  return getGuildSetting(guildId, key, null) !== null;
+}
+
+// Store a value, or parse text typed by a user first. Returns an error message,
+// or null on success
+export function setSetting(guildId, key, input) {
+  const setting = SETTINGS[key];
+  if (!setting) return `Unknown setting **${key}**.`;
+
+  const type = TYPES[setting.type];
+  const value = typeof input === 'string' ? type.parse(input) : input;
+  if (value === null || !isValid(setting, value)) {
+    return `**${key}** must be ${type.hint(setting)}.`;
+  }
+
+  // Lists are stored in the order they're offered, without repeats
+  const stored = setting.type === 'commands' ? setting.choices.filter(name => value.includes(name)) : value;
+  return setGuildSetting(guildId, key, stored) ? null : 'Failed to save the setting.';
+}
+
+export function resetSetting(guildId, key) {
+  return deleteGuildSetting(guildId, key);
+}
+
+export function formatSettingValue(key, value) {
+  const { type, unit } = SETTINGS[key];
+  switch (type) {
+    case 'boolean':
+      return value ? 'on' : 'off';
+    case 'role':
+      return value ? `<@&${value}>` : 'a role named DJ';
+    case 'commands':
+      return value.length > 0 ? value.map(name => `/${name}`).join(', ') : 'none';
+    default:
+      return unit === '%' ? `${value}%` : `${value} ${unit}`;
+  }
+}
+
+// Values worth offering while a user types one for /settings set: what they
+// typed if it's valid, then the default and the other obvious picks
+export function getSettingSuggestions(key, text) {
+  const setting = SETTINGS[key];
+  if (!setting) return [];
+
+  const typed = TYPES[setting.type].parse(String(text));
+  let candidates;
+  switch (setting.type) {
+    case 'integer':
+      candidates = [Number.isInteger(typed) ? typed : null, setting.default, setting.min, setting.max];
+      break;
+    case 'boolean':
+      candidates = [typed, setting.default, !setting.default];
+      break;
+    case 'commands':
+      candidates = [typed, setting.default, []];
+      break;
+    default:
+      candidates = [typed];
+  }
+
+  const seen = new Set();
+  return candidates.filter(value => {
+    if (value === null || !isValid(setting, value)) return false;
+    const id = JSON.stringify(value);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
@@ -0,0 +1,77 @@
+// Shutdown coordinator
+//
+// SIGTERM (docker stop, Portainer), SIGINT (Ctrl+C) and fatal errors all end up in
+// shutdown(): queues are snapshotted for the next start, the database is flushed,
+// listeners get a short notice and voice connections are closed. The whole thing
+// is bounded, so a hung Discord request can't keep the process alive.
+
+import { shutdownDatabase } from './database.js';
+
+// Docker sends SIGKILL 10 seconds after SIGTERM, leave room to exit before that
+const SHUTDOWN_TIMEOUT_MS = 8000;
+
+let shuttingDown = false;
+
+export function registerShutdownHandlers(client, guildQueues) {
+  const handleSignal = signal => {
+    // A second Ctrl+C skips the cleanup
+    if (shuttingDown) {
+      console.log(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    shutdown(client, guildQueues, signal, 0);
+  };
+
+  process.on('SIGTERM', handleSignal);
+  process.on('SIGINT', handleSignal);
+
+  // Without these handlers Node would crash on the spot and skip the final save
+  process.on('uncaughtException', error => {
+    console.error('Uncaught exception:', error);
+    shutdown(client, guildQueues, 'uncaught exception', 1);
+  });
+  process.on('unhandledRejection', reason => {
+    console.error('Unhandled promise rejection:', reason);
+    shutdown(client, guildQueues, 'unhandled rejection', 1);
+  });
+}
+
+async function shutdown(client, guildQueues, reason, exitCode) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`Shutting down (${reason})...`);
+
+  const forceExit = setTimeout(() => {
+    console.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting anyway`);
+    shutdownDatabase();
+    process.exit(exitCode || 1);
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  try {
+    // Save state first, so it survives even if the rest doesn't finish in time
+    for (const queue of guildQueues.values()) {
+      queue.writeSnapshot();
+    }
+    shutdownDatabase();
+
+    const results = await Promise.allSettled(
+      [...guildQueues.values()].map(queue => queue.goOffline())
+    );
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.error('Error leaving voice during shutdown:', result.reason);
+      }
+    }
+
+    await client.destroy();
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+  }
+
+  // Catch anything written while disconnecting
+  shutdownDatabase();
+
+  clearTimeout(forceExit);
+  console.log('✓ Shutdown complete');
+  process.exit(exitCode);
+}